@@ -12,7 +12,14 @@ const appState = {
     analysisTimeframe: 30,
     charts: {},
     incomeAdjustments: [],  // {year: number, income: number}
-    lifeEvents: []  // {year: number, description: string, type: string, amount: number}
+    lumpSumPayments: [],  // {month: number, amount: number}
+    lifeEvents: [],  // {year: number, description: string, type: string, amount: number}
+    capexItems: DEFAULT_CAPEX_ITEMS.map(item => ({ ...item })),  // {name, lifespan, replacementCost, age?}
+    pendingImport: null,  // {json, fileName, preview, tracker (CSV imports)} while the import preview is open
+    sensitivity: null,  // Last calculateSensitivityAnalysis result, re-rendered when the metric changes
+    simulations: {},  // Last Monte Carlo result per view {key, results}, reused while its inputs are unchanged
+    simulationRuns: { analysis: 0, comparison: 0 },  // Latest run per view; older runs finishing later are not drawn
+    houseComparison: null  // Comprehensive House Comparison on screen {scenarioA, scenarioB, settings, comparison}, printed as shown
 };
 
 // Initialize application when DOM is ready
@@ -34,6 +41,13 @@ function initApp() {
 
     // Initialize with default values
     updateDownPaymentAmount();
+    renderLumpSumPayments();
+    renderCapexItems();
+    renderQualificationProfiles();
+    updateStateTaxOptionsVisibility();
+    updateRentalOptionsVisibility();
+    updateArmOptionsVisibility();
+    updateLoanProgramOptionsVisibility();
 
     // Restore last state if available
     const settings = loadSettings();
@@ -41,7 +55,10 @@ function initApp() {
         document.getElementById('investment-return').value = settings.defaultInvestmentReturn || 8.0;
         document.getElementById('appreciation-rate').value = settings.defaultAppreciation || 3.0;
         document.getElementById('appreciation-rate-number').value = settings.defaultAppreciation || 3.0;
+        document.getElementById('inflation-rate').value = settings.inflationRate ?? 2.5;
+        document.getElementById('real-dollars').checked = settings.realDollars || false;
     }
+    setChartDollarMode(document.getElementById('real-dollars').checked, getInflationRate());
 
     console.log('Application initialized successfully');
 }
@@ -86,12 +103,29 @@ function setupEventListeners() {
         appreciationSlider.value = this.value;
     });
 
+    // Loan type and ARM product selection
+    document.getElementById('loan-type').addEventListener('change', updateArmOptionsVisibility);
+    document.getElementById('loan-program').addEventListener('change', updateLoanProgramOptionsVisibility);
+    document.getElementById('arm-product').addEventListener('change', applyArmProductDefaults);
+
+    // Lump sum prepayment button
+    document.getElementById('add-lump-sum-btn').addEventListener('click', addLumpSumPayment);
+    document.getElementById('add-capex-btn').addEventListener('click', addCapexItem);
+    document.getElementById('add-profile-btn').addEventListener('click', handleAddQualificationProfile);
+    document.getElementById('state-tax-type').addEventListener('change', updateStateTaxOptionsVisibility);
+    document.getElementById('property-type').addEventListener('change', updateRentalOptionsVisibility);
+
     // Calculate button
     document.getElementById('calculate-btn').addEventListener('click', handleCalculate);
 
     // Save scenario button
     document.getElementById('save-scenario-btn').addEventListener('click', handleSaveScenario);
 
+    // Printable decision reports
+    document.getElementById('print-report-btn').addEventListener('click', handlePrintCurrentReport);
+    document.getElementById('print-selected-report-btn').addEventListener('click', handlePrintSelectedReport);
+    document.getElementById('print-comparison-report-btn').addEventListener('click', handlePrintComparisonReport);
+
     // Compare scenarios button
     document.getElementById('compare-scenarios-btn').addEventListener('click', handleCompareScenarios);
 
@@ -100,8 +134,43 @@ function setupEventListeners() {
         exportToJSON();
     });
 
+    // Export selected scenarios to CSV
+    document.getElementById('export-csv-btn').addEventListener('click', handleExportCSV);
+    document.getElementById('export-xlsx-btn').addEventListener('click', handleExportXLSX);
+
+    // Import scenarios from the file picker or by dropping a file
+    document.getElementById('import-scenarios-btn').addEventListener('click', function() {
+        document.getElementById('import-file-input').click();
+    });
+    document.getElementById('import-file-input').addEventListener('change', function() {
+        handleImportFile(this.files[0]);
+    });
+    const dropZone = document.getElementById('import-drop-zone');
+    dropZone.addEventListener('dragover', function(event) {
+        event.preventDefault();
+        dropZone.classList.add('drag-over');
+    });
+    dropZone.addEventListener('dragleave', function() {
+        dropZone.classList.remove('drag-over');
+    });
+    dropZone.addEventListener('drop', function(event) {
+        event.preventDefault();
+        dropZone.classList.remove('drag-over');
+        handleImportFile(event.dataTransfer.files[0]);
+    });
+    document.getElementById('confirm-import-btn').addEventListener('click', handleConfirmImport);
+    document.getElementById('cancel-import-btn').addEventListener('click', handleCancelImport);
+
+    // Inflation assumption and today's-dollars toggle
+    document.getElementById('inflation-rate').addEventListener('change', handleDollarModeChange);
+    document.getElementById('real-dollars').addEventListener('change', handleDollarModeChange);
+
     // Update analysis button
     document.getElementById('update-analysis-btn').addEventListener('click', handleUpdateAnalysis);
+    document.getElementById('refinance-mode').addEventListener('change', updateRefinanceOptionsVisibility);
+    document.getElementById('simulation-mode').addEventListener('change', updateSimulationOptionsVisibility);
+    document.getElementById('sensitivity-variation').addEventListener('change', handleUpdateAnalysis);
+    document.getElementById('sensitivity-metric').addEventListener('change', renderSensitivityResults);
 
     // Compare houses button
     document.getElementById('compare-houses-btn').addEventListener('click', handleCompareHouses);
@@ -200,6 +269,40 @@ function setupEventListeners() {
     });
 }
 
+/**
+ * Get the inflation assumption (percentage)
+ */
+function getInflationRate() {
+    const rate = parseFloat(document.getElementById('inflation-rate').value);
+    return isNaN(rate) ? 2.5 : rate;
+}
+
+/**
+ * Get the inflation rate used for display: the assumption in today's-dollars mode, 0 otherwise
+ */
+function getDisplayInflationRate() {
+    return document.getElementById('real-dollars').checked ? getInflationRate() : 0;
+}
+
+/**
+ * Save the dollar display mode and redraw any results already on screen
+ */
+function handleDollarModeChange() {
+    const realDollars = document.getElementById('real-dollars').checked;
+    saveSettings({ inflationRate: getInflationRate(), realDollars: realDollars });
+    setChartDollarMode(realDollars, getInflationRate());
+
+    if (appState.currentScenario) {
+        handleCalculate();
+    }
+    if (chartInstances.netWorth) {
+        handleUpdateAnalysis();
+    }
+    if (document.getElementById('comparison-results-section').style.display === 'block') {
+        handleCompareHouses();
+    }
+}
+
 /**
  * Switch between tabs
  */
@@ -252,42 +355,124 @@ function handleCalculate() {
         insurance: parseFloat(document.getElementById('insurance').value) || 0,
         hoa: parseFloat(document.getElementById('hoa').value) || 0,
         utilities: parseFloat(document.getElementById('utilities').value) || 0,
-        maintenance: parseFloat(document.getElementById('maintenance').value) || 0
+        maintenance: parseFloat(document.getElementById('maintenance').value) || 0,
+        prepayments: getPrepaymentsFromForm(),
+        ...getHomeUpkeepFromForm(),
+        rental: getRentalFromForm()
     };
 
-    const incomeInfo = {
-        annualIncome: parseFloat(document.getElementById('annual-income').value) || 0,
-        monthlyDebts: parseFloat(document.getElementById('monthly-debts').value) || 0,
-        investmentReturn: parseFloat(document.getElementById('investment-return').value) || 8.0,
-        currentPortfolio: parseFloat(document.getElementById('current-portfolio').value) || 0
+    // Insurance and maintenance set as a percentage of value start from the purchase price;
+    // maintenance (either way) is for a typical 5-15 year old home and scales with the home's age
+    if (propertyInfo.insuranceRate !== null) {
+        propertyInfo.insurance = propertyInfo.purchasePrice * propertyInfo.insuranceRate / 100 / 12;
+    }
+    propertyInfo.baseMaintenance = propertyInfo.maintenance;
+    if (propertyInfo.maintenanceRate !== null) {
+        propertyInfo.maintenance = propertyInfo.purchasePrice * propertyInfo.maintenanceRate / 100 / 12;
+    }
+    if (propertyInfo.homeAge !== null) {
+        propertyInfo.maintenance *= getHomeAgeMaintenanceFactor(propertyInfo.homeAge);
+    }
+
+    propertyInfo.loanProgram = document.getElementById('loan-program').value;
+    propertyInfo.vaUsage = document.getElementById('va-usage').value;
+    propertyInfo.loanType = document.getElementById('loan-type').value;
+    propertyInfo.arm = getArmTermsFromForm();
+    propertyInfo.pricing = getPricingFromForm();
+    propertyInfo.closingCosts = getClosingCostsFromForm();
+    propertyInfo.pmiOptions = {
+        creditScore: parseInt(document.getElementById('credit-score').value) || 740,
+        cancellation: document.getElementById('pmi-cancellation').value
     };
 
-    // Calculate loan amount
-    const loanAmount = propertyInfo.purchasePrice - propertyInfo.downPaymentAmount;
+    const incomeInfo = getIncomeInfoFromForm();
+
+    // Calculate loan amount (FHA, VA and USDA upfront fees are financed into the loan)
+    const loanProgram = getLoanProgramCosts(propertyInfo);
+    const loanAmount = loanProgram.loanAmount;
+    const appreciationRate = parseFloat(document.getElementById('appreciation-rate').value) || 3.0;
+    const loanOptions = getLoanOptions(propertyInfo, appreciationRate);
+
+    // Calculate mortgage insurance (conventional PMI priced by LTV and credit score, or program MIP/fee)
+    const pmi = loanOptions.pmi.monthlyPMI;
 
-    // Calculate PMI
-    const pmi = calculatePMI(loanAmount, propertyInfo.purchasePrice, propertyInfo.downPaymentPercent);
+    // Evaluate points, lender credits and buydowns; the loan is written at the note rate
+    const pricing = calculateRatePricingOptions(loanAmount, propertyInfo.interestRate, propertyInfo.loanTerm, propertyInfo.pricing);
 
     // Calculate monthly payment breakdown
     const paymentBreakdown = calculateTotalMonthlyPayment(
         loanAmount,
-        propertyInfo.interestRate,
+        pricing.noteRate,
         propertyInfo.loanTerm,
         propertyInfo.propertyTax,
         propertyInfo.insurance,
         propertyInfo.hoa,
-        pmi
+        pmi,
+        loanOptions.arm
     );
 
-    // Calculate total monthly cost (including utilities and maintenance)
+    // Calculate cash needed at closing and check it against the current portfolio
+    const cashToClose = calculateCashToClose(
+        propertyInfo.purchasePrice,
+        propertyInfo.downPaymentAmount,
+        loanAmount,
+        pricing.noteRate,
+        propertyInfo.propertyTax + propertyInfo.insurance,
+        paymentBreakdown.totalPayment,
+        propertyInfo.closingCosts,
+        pricing.totalUpfrontCost
+    );
+    cashToClose.shortfall = Math.max(0, cashToClose.totalCashRequired - incomeInfo.currentPortfolio);
+
+    // Rent from other units or rooms; lenders credit a share of the gross rent as income
+    const rentalIncome = calculateRentalIncome(propertyInfo.rental);
+
+    // Check the borrower against each lender's qualification rules, using this year's income taxes
+    const incomeTaxes = calculateIncomeTaxes(incomeInfo.annualIncome, getTaxProfile(incomeInfo));
+    const qualification = evaluateQualificationProfiles({
+        monthlyIncome: incomeInfo.annualIncome / 12 + rentalIncome.qualifyingIncome,
+        housingPayment: paymentBreakdown.totalPayment,
+        otherDebts: incomeInfo.monthlyDebts,
+        downPaymentPercent: propertyInfo.downPaymentPercent,
+        loanAmount: loanAmount,
+        creditScore: propertyInfo.pmiOptions.creditScore,
+        reserves: incomeInfo.currentPortfolio - cashToClose.cashToClose,
+        monthlyUpkeep: propertyInfo.utilities + propertyInfo.maintenance,
+        monthlyTaxes: incomeTaxes.totalTax / 12,
+        region: incomeInfo.region,
+        familySize: incomeInfo.householdSize
+    });
+
+    // Calculate total monthly cost (including utilities and maintenance), and what is left after rental income
     const totalMonthlyCost = paymentBreakdown.totalPayment + propertyInfo.utilities + propertyInfo.maintenance;
+    const netMonthlyCost = totalMonthlyCost - rentalIncome.netRentalIncome;
 
     // Calculate affordability ratios
     const monthlyIncome = incomeInfo.annualIncome / 12;
     const affordability = calculateAffordabilityRatios(
         paymentBreakdown.totalPayment,
         monthlyIncome,
-        incomeInfo.monthlyDebts
+        incomeInfo.monthlyDebts,
+        loanProgram.program,
+        propertyInfo.downPaymentPercent,
+        rentalIncome.qualifyingIncome
+    );
+
+    // Highest price that fits the program's ratios, with tax and insurance scaled from this property
+    const recommendedPrice = calculateRecommendedPrice(
+        incomeInfo.annualIncome + rentalIncome.qualifyingIncome * 12,
+        incomeInfo.monthlyDebts,
+        propertyInfo.downPaymentPercent,
+        pricing.noteRate,
+        propertyInfo.loanTerm,
+        {
+            propertyTaxRate: propertyInfo.purchasePrice > 0 ? propertyInfo.propertyTax * 12 / propertyInfo.purchasePrice * 100 : undefined,
+            insuranceRate: propertyInfo.purchasePrice > 0 ? propertyInfo.insurance * 12 / propertyInfo.purchasePrice * 100 : undefined,
+            hoa: propertyInfo.hoa,
+            program: loanProgram.program,
+            creditScore: propertyInfo.pmiOptions.creditScore,
+            vaUsage: propertyInfo.vaUsage
+        }
     );
 
     // Calculate opportunity cost (down payment invested for 10 years)
@@ -298,13 +483,31 @@ function handleCalculate() {
         10
     );
 
+    // Calculate payoff with extra principal (schedule itself is not stored)
+    const { schedule, ...prepayment } = calculatePrepaymentSavings(
+        loanAmount,
+        pricing.noteRate,
+        propertyInfo.loanTerm,
+        loanOptions
+    );
+
     // Store calculations
     const calculations = {
         ...paymentBreakdown,
         loanAmount,
         totalMonthlyCost,
+        rentalIncome,
+        netMonthlyCost,
         affordability,
-        opportunityCost: opportunityCost[opportunityCost.length - 1]
+        qualification,
+        recommendedPrice,
+        opportunityCost: opportunityCost[opportunityCost.length - 1],
+        prepayment,
+        pmiDropOffMonth: loanProgram.lifeOfLoan ? null : getPMIDropOffMonth(schedule),
+        loanProgram,
+        noteRate: pricing.noteRate,
+        pricing,
+        cashToClose
     };
 
     // Update current scenario
@@ -319,74 +522,765 @@ function handleCalculate() {
 }
 
 /**
- * Display calculation results
+ * Get income, tax and investment account inputs from the Calculator form
+ */
+function getIncomeInfoFromForm() {
+    return {
+        annualIncome: parseFloat(document.getElementById('annual-income').value) || 0,
+        monthlyDebts: parseFloat(document.getElementById('monthly-debts').value) || 0,
+        investmentReturn: parseFloat(document.getElementById('investment-return').value) || 8.0,
+        currentPortfolio: parseFloat(document.getElementById('current-portfolio').value) || 0,
+        householdSize: parseInt(document.getElementById('household-size').value) || 1,
+        region: document.getElementById('region').value,
+        tax: getTaxProfileFromForm(),
+        accounts: getAccountSettingsFromForm()
+    };
+}
+
+/**
+ * Display calculation results
+ */
+function displayResults(calculations, propertyInfo, incomeInfo) {
+    // Update summary cards
+    document.getElementById('monthly-payment').textContent = formatCurrency(calculations.totalPayment);
+    const premiumLabel = getPremiumLabel(propertyInfo);
+    document.getElementById('monthly-payment-detail').textContent =
+        `P&I: ${formatCurrency(calculations.principalAndInterest)}${calculations.pmi > 0 ? ` + ${premiumLabel}: ${formatCurrency(calculations.pmi)}` : ''}` +
+        (calculations.pmiDropOffMonth ? ` (${premiumLabel} ends month ${calculations.pmiDropOffMonth}, year ${Math.ceil(calculations.pmiDropOffMonth / 12)})` : '') +
+        (calculations.loanProgram && calculations.loanProgram.lifeOfLoan && calculations.pmi > 0 ? ` (${premiumLabel} for the life of the loan)` : '') +
+        (calculations.loanProgram && calculations.loanProgram.upfrontFee > 0 ? ` • ${formatCurrency(calculations.loanProgram.upfrontFee)} upfront fee financed` : '');
+
+    document.getElementById('total-monthly-cost').textContent = formatCurrency(calculations.totalMonthlyCost);
+    const rentalIncome = calculations.rentalIncome;
+    document.getElementById('total-monthly-cost-detail').textContent = rentalIncome && rentalIncome.grossRent > 0
+        ? `${formatCurrency(calculations.netMonthlyCost)} after ${formatCurrency(rentalIncome.netRentalIncome)} net rent ` +
+            `(${formatCurrency(rentalIncome.qualifyingIncome)} counted by lenders)`
+        : 'Including all expenses';
+
+    document.getElementById('affordability-ratio').textContent = formatPercent(calculations.affordability.housingRatio, 1);
+    document.getElementById('affordability-status').textContent = getAffordabilityStatusText(calculations.affordability);
+
+    // Update progress bar
+    const progressBar = document.getElementById('affordability-progress');
+    const progressPercent = Math.min(calculations.affordability.housingRatio, 100);
+    progressBar.style.width = `${progressPercent}%`;
+    progressBar.className = `progress-fill ${calculations.affordability.status}`;
+
+    renderRecommendedPrice(calculations.recommendedPrice, propertyInfo.purchasePrice);
+    renderQualification(calculations.qualification);
+
+    const displayInflation = getDisplayInflationRate();
+    document.getElementById('opportunity-cost').textContent =
+        formatCurrency(toRealDollars(calculations.opportunityCost.value, displayInflation, 10));
+    document.getElementById('opportunity-cost-detail').textContent =
+        `If invested instead (10 years${displayInflation ? ", in today's dollars" : ''})`;
+
+    renderPricingOptions(calculations.pricing);
+    renderCashToClose(calculations.cashToClose, incomeInfo.currentPortfolio);
+
+    // ARM payment after the first reset and worst case under the caps
+    if (calculations.rateAdjustments && calculations.rateAdjustments.length > 0) {
+        const firstReset = calculations.rateAdjustments[0];
+        document.getElementById('arm-adjusted-payment').textContent = formatCurrency(firstReset.principalAndInterest);
+        document.getElementById('arm-adjustment-detail').textContent =
+            `P&I from year ${Math.ceil(firstReset.month / 12)} at ${formatPercent(firstReset.rate)} • ` +
+            `Worst case ${formatCurrency(calculations.worstCasePrincipalAndInterest)} at ${formatPercent(calculations.worstCaseRate)}`;
+    } else {
+        document.getElementById('arm-adjusted-payment').textContent = '-';
+        document.getElementById('arm-adjustment-detail').textContent = 'Fixed-rate loan';
+    }
+
+    // Early payoff from extra principal
+    const prepayment = calculations.prepayment;
+    if (prepayment && prepayment.totalExtraPrincipal > 0) {
+        document.getElementById('prepayment-payoff').textContent = formatLoanDuration(prepayment.payoffMonth);
+        document.getElementById('prepayment-savings').textContent =
+            `Saves ${formatCurrency(prepayment.interestSaved)} interest, ${formatLoanDuration(prepayment.monthsSaved)} early`;
+    } else {
+        document.getElementById('prepayment-payoff').textContent = '-';
+        document.getElementById('prepayment-savings').textContent = 'Add extra principal to see savings';
+    }
+
+    // Render payment breakdown chart
+    renderPaymentBreakdown(calculations);
+}
+
+/**
+ * Render the points / lender credit / buydown options table
+ */
+function renderPricingOptions(pricing) {
+    const container = document.getElementById('pricing-options');
+
+    if (!pricing || pricing.options.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    container.style.display = 'block';
+    document.getElementById('pricing-note-rate').textContent =
+        `Par rate ${formatPercent(pricing.parRate, 3)} → note rate ${formatPercent(pricing.noteRate, 3)}`;
+
+    const rows = pricing.options.map(option => {
+        let breakEven = 'Never';
+        if (option.type === 'credit' && option.breakEvenMonth !== null) {
+            breakEven = `Credit wins if loan ends before month ${option.breakEvenMonth}`;
+        } else if (option.breakEvenMonth === 0) {
+            breakEven = 'Immediate';
+        } else if (option.breakEvenMonth !== null) {
+            breakEven = `Month ${option.breakEvenMonth} (${formatLoanDuration(option.breakEvenMonth)})`;
+        }
+
+        const savings = option.type === 'buydown'
+            ? option.yearlySavings.map((amount, index) => `Yr ${index + 1}: ${formatCurrency(amount)}`).join(', ')
+            : formatCurrency(option.monthlySavings);
+
+        return `
+            <tr>
+                <td>${option.label}</td>
+                <td>${formatPercent(option.rate, 3)}</td>
+                <td>${formatCurrency(option.upfrontCost)}</td>
+                <td>${savings}</td>
+                <td>${breakEven}</td>
+            </tr>
+        `;
+    }).join('');
+
+    document.getElementById('pricing-options-body').innerHTML = rows;
+}
+
+/**
+ * Render the cash-to-close breakdown and whether the portfolio covers it
+ */
+function renderCashToClose(cashToClose, currentPortfolio) {
+    const container = document.getElementById('cash-to-close');
+
+    if (!cashToClose) {
+        container.style.display = 'none';
+        return;
+    }
+
+    container.style.display = 'block';
+    document.getElementById('cash-to-close-status').textContent = cashToClose.shortfall > 0
+        ? `Short by ${formatCurrency(cashToClose.shortfall)}: your portfolio of ${formatCurrency(currentPortfolio)} doesn't cover cash to close plus reserves`
+        : `Covered: ${formatCurrency(currentPortfolio - cashToClose.cashToClose)} left in your portfolio after closing`;
+
+    const items = [
+        ['Down payment', cashToClose.downPayment],
+        ['Lender fees', cashToClose.lenderFees],
+        ['Title & escrow fees', cashToClose.titleFees],
+        ['Appraisal', cashToClose.appraisal],
+        ['Transfer taxes', cashToClose.transferTax],
+        ['Points & buydowns (less lender credits)', cashToClose.pricingCost],
+        ['Prepaid interest', cashToClose.prepaidInterest],
+        ['Initial escrow deposit', cashToClose.escrowDeposit],
+        ['Cash to close', cashToClose.cashToClose],
+        ['Required reserves (kept after closing)', cashToClose.reserves],
+        ['Total cash required', cashToClose.totalCashRequired]
+    ];
+
+    document.getElementById('cash-to-close-body').innerHTML = items
+        .filter(([label, amount]) => amount !== 0 || label === 'Cash to close')
+        .map(([label, amount]) => `
+            <tr>
+                <td>${label}</td>
+                <td>${formatCurrency(amount)}</td>
+            </tr>
+        `).join('');
+}
+
+/**
+ * Get built-in and custom lender qualification profiles
+ * @returns {Array} [{key, profile}]
+ */
+function getQualificationProfiles() {
+    const builtIn = Object.keys(QUALIFICATION_PROFILES).map(key => ({ key, profile: QUALIFICATION_PROFILES[key] }));
+    const custom = loadQualificationProfiles().map(custom => ({
+        key: custom.id,
+        profile: createCustomQualificationProfile(custom)
+    }));
+    return [...builtIn, ...custom];
+}
+
+/**
+ * Evaluate a borrower against every lender profile
+ * @returns {Array} evaluateQualification results with each profile's key
+ */
+function evaluateQualificationProfiles(borrower) {
+    return getQualificationProfiles().map(({ key, profile }) => ({
+        key: key,
+        custom: Boolean(profile.custom),
+        ...evaluateQualification(profile, borrower)
+    }));
+}
+
+/**
+ * Show pass/fail and the explanation for each lender profile
+ */
+function renderQualification(qualification) {
+    const container = document.getElementById('qualification');
+
+    if (!qualification || qualification.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    container.style.display = 'block';
+    const qualified = qualification.filter(result => result.qualified);
+    document.getElementById('qualification-status').textContent = qualified.length > 0
+        ? `Qualifies under ${qualified.length} of ${qualification.length} lender profiles: ${qualified.map(result => result.label).join(', ')}`
+        : `Does not qualify under any of the ${qualification.length} lender profiles`;
+
+    document.getElementById('qualification-body').innerHTML = qualification.map(result => `
+        <tr>
+            <td>${escapeHTML(result.label)}</td>
+            <td class="${result.qualified ? 'winner' : 'not-qualified'}">${result.qualified ? 'Pass' : 'Fail'}</td>
+            <td>${escapeHTML(result.explanation)}<br><small>${result.checks.map(check => `${check.passed ? '✓' : '✗'} ${escapeHTML(check.label)}: ${escapeHTML(check.detail)}`).join('<br>')}</small></td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Add a custom lender profile from the Lender Profiles form
+ */
+function handleAddQualificationProfile() {
+    const label = document.getElementById('profile-name').value.trim();
+    const dtiLimit = parseFloat(document.getElementById('profile-dti-limit').value);
+
+    if (!label) {
+        alert('Please enter a name for the lender profile');
+        return;
+    }
+    if (isNaN(dtiLimit) || dtiLimit <= 0) {
+        alert('Please enter a back-end DTI limit');
+        return;
+    }
+
+    const housingLimit = parseFloat(document.getElementById('profile-housing-limit').value);
+    saveQualificationProfile({
+        label: label,
+        housingLimit: isNaN(housingLimit) ? null : housingLimit,
+        dtiLimit: dtiLimit,
+        minDownPayment: parseFloat(document.getElementById('profile-min-down').value) || 0,
+        minCreditScore: parseInt(document.getElementById('profile-min-credit').value) || 0,
+        reserveMonths: parseFloat(document.getElementById('profile-reserve-months').value) || 0
+    });
+
+    document.getElementById('profile-name').value = '';
+    renderQualificationProfiles();
+    if (appState.currentScenario) {
+        handleCalculate();
+    }
+}
+
+/**
+ * Remove a custom lender profile
+ */
+function removeQualificationProfile(id) {
+    deleteQualificationProfile(id);
+    renderQualificationProfiles();
+    if (appState.currentScenario) {
+        handleCalculate();
+    }
+}
+
+/**
+ * Render custom lender profiles list
+ */
+function renderQualificationProfiles() {
+    const container = document.getElementById('custom-profiles-list');
+    const profiles = loadQualificationProfiles();
+
+    if (profiles.length === 0) {
+        container.innerHTML = '<p style="color: var(--text-light); font-size: 0.875rem; margin-top: 0.5rem;">No custom lender profiles</p>';
+        return;
+    }
+
+    container.innerHTML = profiles.map(profile => `
+        <div class="adjustment-item">
+            <span>${escapeHTML(profile.label)}: ${profile.housingLimit === null ? '' : `${profile.housingLimit}/`}${profile.dtiLimit}%${profile.minDownPayment ? `, ${profile.minDownPayment}% down` : ''}${profile.minCreditScore ? `, ${profile.minCreditScore}+ score` : ''}${profile.reserveMonths ? `, ${profile.reserveMonths} mo reserves` : ''}</span>
+            <button type="button" onclick="removeQualificationProfile('${profile.id}')">Remove</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Show the maximum affordable price and which ratio limits it
+ */
+function renderRecommendedPrice(recommendedPrice, purchasePrice) {
+    const valueEl = document.getElementById('max-price');
+    const detailEl = document.getElementById('max-price-detail');
+
+    if (!recommendedPrice || recommendedPrice.maxPrice <= 0) {
+        valueEl.textContent = formatCurrency(0);
+        detailEl.textContent = `Other debts already use the ${recommendedPrice ? recommendedPrice.dtiLimit : 36}% DTI limit`;
+        return;
+    }
+
+    const binding = recommendedPrice.bindingConstraint === 'back-end'
+        ? `back-end DTI (${recommendedPrice.dtiLimit}%)`
+        : `front-end ratio (${recommendedPrice.housingLimit}%)`;
+    const headroom = recommendedPrice.maxPrice - purchasePrice;
+
+    valueEl.textContent = formatCurrency(recommendedPrice.maxPrice);
+    detailEl.textContent = `Limited by ${binding} at ${formatCurrency(recommendedPrice.payment.total)}/month • ` +
+        (headroom >= 0
+            ? `${formatCurrency(headroom)} above this price`
+            : `${formatCurrency(-headroom)} below this price`);
+}
+
+/**
+ * Format a number of months as years and months (e.g., "22 yrs 4 mos")
+ */
+function formatLoanDuration(months) {
+    const years = Math.floor(months / 12);
+    const remainder = months % 12;
+    if (years === 0) return `${remainder} mos`;
+    return remainder > 0 ? `${years} yrs ${remainder} mos` : `${years} yrs`;
+}
+
+/**
+ * Get affordability status text
+ */
+function getAffordabilityStatusText(affordability) {
+    const statusMap = {
+        'excellent': 'Excellent - Well within guidelines',
+        'good': 'Good - Within acceptable range',
+        'caution': 'Caution - Approaching limits',
+        'warning': 'Warning - Exceeds typical guidelines'
+    };
+
+    // Government programs: name the limit that was missed
+    const programLabel = LOAN_PROGRAMS[affordability.program] ? LOAN_PROGRAMS[affordability.program].label : 'Conventional';
+    if (affordability.meetsDownPayment === false) {
+        return `Warning - Below ${programLabel} minimum down payment of ${affordability.minDownPayment}%`;
+    }
+    if (affordability.program && affordability.program !== 'conventional' && !affordability.withinGuidelines) {
+        const housingLimit = affordability.housingLimit !== null ? `${affordability.housingLimit}/` : '';
+        return `Warning - Exceeds ${programLabel} DTI limits (${housingLimit}${affordability.dtiLimit}%)`;
+    }
+    return statusMap[affordability.status] || affordability.status;
+}
+
+/**
+ * Handle save scenario button click
+ */
+function handleSaveScenario() {
+    if (!appState.currentScenario) {
+        alert('Please calculate a scenario first before saving.');
+        return;
+    }
+
+    const name = prompt('Enter a name for this scenario:');
+    if (!name || name.trim() === '') {
+        return;
+    }
+
+    const scenario = createScenarioTemplate();
+    scenario.name = name.trim();
+    scenario.propertyInfo = appState.currentScenario.propertyInfo;
+    scenario.incomeInfo = appState.currentScenario.incomeInfo;
+    scenario.calculations = appState.currentScenario.calculations;
+
+    const success = saveScenario(scenario);
+
+    if (success) {
+        alert(`Scenario "${name}" saved successfully!`);
+        appState.savedScenarios = loadScenarios();
+        displayScenarioList();
+        populateAnalysisScenarioSelector(); // Update analysis dropdown
+    } else {
+        alert('Error saving scenario. Please try again.');
+    }
+}
+
+/**
+ * Get extra principal plan from the Calculator form
+ */
+function getPrepaymentsFromForm() {
+    return {
+        monthlyExtra: parseFloat(document.getElementById('extra-monthly-principal').value) || 0,
+        annualExtra: parseFloat(document.getElementById('extra-annual-principal').value) || 0,
+        escalationRate: parseFloat(document.getElementById('extra-escalation-rate').value) || 0,
+        lumpSums: appState.lumpSumPayments.map(lumpSum => ({ ...lumpSum }))
+    };
+}
+
+/**
+ * Get percentage-of-value insurance and maintenance, home age and capital expenditures from the form
+ * Blank rates keep the monthly amounts; a blank home age skips the age adjustment
+ */
+function getHomeUpkeepFromForm() {
+    const readOptional = id => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) ? null : value;
+    };
+
+    return {
+        insuranceRate: readOptional('insurance-rate'),
+        maintenanceRate: readOptional('maintenance-rate'),
+        homeAge: readOptional('home-age'),
+        capexItems: appState.capexItems.map(item => ({ ...item }))
+    };
+}
+
+/**
+ * Get the property type and rental inputs from the Calculator form
+ */
+function getRentalFromForm() {
+    return {
+        propertyType: document.getElementById('property-type').value,
+        monthlyRent: parseFloat(document.getElementById('rental-monthly-rent').value) || 0,
+        vacancyRate: parseFloat(document.getElementById('rental-vacancy').value) || 0,
+        managementFeeRate: parseFloat(document.getElementById('rental-management-fee').value) || 0,
+        landlordInsurance: parseFloat(document.getElementById('landlord-insurance').value) || 0,
+        rentGrowth: parseFloat(document.getElementById('rental-growth').value) || 0,
+        lenderCredit: parseFloat(document.getElementById('rental-lender-credit').value) || 0
+    };
+}
+
+/**
+ * Show the rental inputs for multi-unit and house-hack properties
+ */
+function updateRentalOptionsVisibility() {
+    const isRental = document.getElementById('property-type').value !== 'single';
+    document.getElementById('rental-options').style.display = isRental ? 'block' : 'none';
+}
+
+/**
+ * Get discount points, lender credit and buydown inputs from the Calculator form
+ */
+function getPricingFromForm() {
+    return {
+        discountPoints: parseFloat(document.getElementById('discount-points').value) || 0,
+        rateReductionPerPoint: parseFloat(document.getElementById('rate-reduction-per-point').value) || 0,
+        lenderCreditPoints: parseFloat(document.getElementById('lender-credit-points').value) || 0,
+        rateIncreasePerCredit: parseFloat(document.getElementById('rate-increase-per-credit').value) || 0,
+        buydown: document.getElementById('buydown-type').value,
+        buydownPaidBy: document.getElementById('buydown-paid-by').value
+    };
+}
+
+/**
+ * Get closing cost inputs from form
+ */
+function getClosingCostsFromForm() {
+    return {
+        lenderFees: parseFloat(document.getElementById('lender-fees').value) || 0,
+        titleFees: parseFloat(document.getElementById('title-fees').value) || 0,
+        appraisal: parseFloat(document.getElementById('appraisal-fee').value) || 0,
+        transferTaxRate: parseFloat(document.getElementById('transfer-tax-rate').value) || 0,
+        prepaidInterestDays: parseFloat(document.getElementById('prepaid-interest-days').value) || 0,
+        escrowMonths: parseFloat(document.getElementById('escrow-months').value) || 0,
+        reserveMonths: parseFloat(document.getElementById('reserve-months').value) || 0
+    };
+}
+
+/**
+ * Get cash spent at closing for a scenario
+ * Scenarios saved before the cash-to-close breakdown only count the down payment and pricing cost
+ */
+function getCashToClose(scenario) {
+    const { propertyInfo, calculations } = scenario;
+    if (calculations.cashToClose) {
+        return calculations.cashToClose.cashToClose;
+    }
+    const upfrontPricingCost = calculations.pricing ? calculations.pricing.totalUpfrontCost : 0;
+    return propertyInfo.downPaymentAmount + upfrontPricingCost;
+}
+
+/**
+ * Get the income tax profile from the Income form
+ */
+function getTaxProfileFromForm() {
+    const brackets = document.getElementById('state-tax-brackets').value
+        .split(',')
+        .map(bracket => bracket.split(':').map(value => parseFloat(value)))
+        .filter(([start, rate]) => !isNaN(start) && !isNaN(rate))
+        .sort((a, b) => a[0] - b[0]);
+
+    return {
+        filingStatus: document.getElementById('filing-status').value,
+        retirementContributionPercent: parseFloat(document.getElementById('retirement-contribution').value) || 0,
+        hsaContribution: parseFloat(document.getElementById('hsa-contribution').value) || 0,
+        state: {
+            type: document.getElementById('state-tax-type').value,
+            rate: parseFloat(document.getElementById('state-tax-rate').value) || 0,
+            brackets: brackets
+        }
+    };
+}
+
+/**
+ * Show the flat state rate or the state bracket input
+ */
+function updateStateTaxOptionsVisibility() {
+    const isBrackets = document.getElementById('state-tax-type').value === 'brackets';
+    document.getElementById('state-tax-rate-group').style.display = isBrackets ? 'none' : 'block';
+    document.getElementById('state-tax-brackets-group').style.display = isBrackets ? 'block' : 'none';
+}
+
+/**
+ * Get a scenario's tax profile
+ * Scenarios saved before the tax model use the default (single filer, no state tax or contributions)
+ */
+function getTaxProfile(incomeInfo) {
+    return { ...DEFAULT_TAX_PROFILE, ...(incomeInfo.tax || {}) };
+}
+
+/**
+ * Get a scenario's investment account settings
+ * Scenarios saved before account modeling hold the whole portfolio in a taxable account
+ */
+function getAccountSettings(incomeInfo) {
+    return { ...DEFAULT_INVESTMENT_ACCOUNTS, ...(incomeInfo.accounts || {}) };
+}
+
+/**
+ * Get the investment account settings from the Income form
+ */
+function getAccountSettingsFromForm() {
+    const readNumber = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) ? fallback : value;
+    };
+
+    return {
+        traditionalPercent: readNumber('portfolio-traditional-percent', 0),
+        rothPercent: readNumber('portfolio-roth-percent', 0),
+        contributionOrder: document.getElementById('contribution-order').value,
+        rothLimit: readNumber('roth-limit', DEFAULT_INVESTMENT_ACCOUNTS.rothLimit),
+        dividendYield: readNumber('dividend-yield', DEFAULT_INVESTMENT_ACCOUNTS.dividendYield),
+        dividendTaxRate: readNumber('dividend-tax-rate', DEFAULT_INVESTMENT_ACCOUNTS.dividendTaxRate),
+        capitalGainsRate: readNumber('investment-capital-gains-rate', DEFAULT_INVESTMENT_ACCOUNTS.capitalGainsRate),
+        withdrawalTaxRate: readNumber('withdrawal-tax-rate', DEFAULT_INVESTMENT_ACCOUNTS.withdrawalTaxRate),
+        earlyWithdrawalPenalty: readNumber('early-withdrawal-penalty', DEFAULT_INVESTMENT_ACCOUNTS.earlyWithdrawalPenalty)
+    };
+}
+
+/**
+ * Calculate a projection year's taxes and take-home pay, with brackets indexed to the inflation assumption
+ * otherIncome is the year's net rental income, taxed as ordinary income
+ */
+function calculateYearTaxes(annualIncome, incomeInfo, year, inflationRate = getInflationRate(), otherIncome = 0) {
+    return calculateIncomeTaxes(annualIncome, getTaxProfile(incomeInfo), year - 1, inflationRate, null, otherIncome);
+}
+
+/**
+ * Get the note rate after points and lender credits
+ */
+function getNoteRate(propertyInfo) {
+    return calculateNoteRate(propertyInfo.interestRate, propertyInfo.pricing);
+}
+
+/**
+ * Get ARM terms from the Calculator form
+ */
+function getArmTermsFromForm() {
+    const indexPath = document.getElementById('arm-index-path').value
+        .split(',')
+        .map(value => parseFloat(value))
+        .filter(value => !isNaN(value));
+    // Blank caps are left undefined so the product's standard caps apply
+    const getCap = id => {
+        const cap = parseFloat(document.getElementById(id).value);
+        return isNaN(cap) ? undefined : cap;
+    };
+
+    return {
+        product: document.getElementById('arm-product').value,
+        indexRate: parseFloat(document.getElementById('arm-index-rate').value) || 0,
+        margin: parseFloat(document.getElementById('arm-margin').value) || 0,
+        indexChange: parseFloat(document.getElementById('arm-index-change').value) || 0,
+        indexPath: indexPath,
+        initialCap: getCap('arm-initial-cap'),
+        periodicCap: getCap('arm-periodic-cap'),
+        lifetimeCap: getCap('arm-lifetime-cap')
+    };
+}
+
+/**
+ * Show ARM inputs only for adjustable-rate loans
+ */
+function updateArmOptionsVisibility() {
+    const isArm = document.getElementById('loan-type').value === 'arm';
+    document.getElementById('arm-options').style.display = isArm ? 'block' : 'none';
+}
+
+/**
+ * Fill in the standard rate caps for the selected ARM product
+ */
+function applyArmProductDefaults() {
+    const product = ARM_PRODUCTS[document.getElementById('arm-product').value];
+    if (!product) return;
+
+    document.getElementById('arm-initial-cap').value = product.caps.initial;
+    document.getElementById('arm-periodic-cap').value = product.caps.periodic;
+    document.getElementById('arm-lifetime-cap').value = product.caps.lifetime;
+}
+
+/**
+ * Get loan program costs (financed upfront fee, loan amount, mortgage insurance) for a scenario
+ * Scenarios saved before loan programs were added are conventional
+ */
+function getLoanProgramCosts(propertyInfo) {
+    const pmiOptions = propertyInfo.pmiOptions || {};
+    return calculateLoanProgramCosts(
+        propertyInfo.loanProgram || 'conventional',
+        propertyInfo.purchasePrice - propertyInfo.downPaymentAmount,
+        propertyInfo.purchasePrice,
+        propertyInfo.loanTerm,
+        { creditScore: pmiOptions.creditScore, vaUsage: propertyInfo.vaUsage }
+    );
+}
+
+/**
+ * Get the name of the loan's mortgage insurance (PMI, FHA MIP or USDA fee)
+ */
+function getPremiumLabel(propertyInfo) {
+    const program = LOAN_PROGRAMS[propertyInfo.loanProgram] || LOAN_PROGRAMS.conventional;
+    return program.premiumLabel || 'PMI';
+}
+
+/**
+ * Show VA funding fee options only for VA loans
+ */
+function updateLoanProgramOptionsVisibility() {
+    const isVA = document.getElementById('loan-program').value === 'va';
+    document.getElementById('va-options').style.display = isVA ? 'block' : 'none';
+}
+
+/**
+ * Get amortization options (extra principal, ARM terms, PMI, buydown, refinance) for a scenario's loan
+ * appreciationRate is only used when PMI cancellation counts appreciation
+ */
+function getLoanOptions(propertyInfo, appreciationRate = null) {
+    const programCosts = getLoanProgramCosts(propertyInfo);
+    const pmiOptions = propertyInfo.pmiOptions || {};
+
+    return {
+        prepayments: propertyInfo.prepayments || null,
+        arm: propertyInfo.loanType === 'arm' ? propertyInfo.arm : null,
+        pmi: {
+            monthlyPMI: programCosts.monthlyPremium,
+            originalValue: propertyInfo.purchasePrice,
+            cancellation: pmiOptions.cancellation === 'automatic' || !pmiOptions.cancellation ? 'automatic' : 'request',
+            appreciationRate: pmiOptions.cancellation === 'request-appreciation' ? getAnnualizedRate(appreciationRate) : null,
+            premiumMonths: programCosts.premiumMonths,
+            lifeOfLoan: programCosts.lifeOfLoan
+        },
+        buydown: propertyInfo.pricing ? propertyInfo.pricing.buydown : null,
+        refinance: propertyInfo.refinance || null
+    };
+}
+
+/**
+ * Get a short description of the loan (e.g., "30-yr fixed" or "5/1 ARM")
+ */
+function getLoanLabel(propertyInfo) {
+    const program = propertyInfo.loanProgram && propertyInfo.loanProgram !== 'conventional'
+        ? `${LOAN_PROGRAMS[propertyInfo.loanProgram].label} `
+        : '';
+    if (propertyInfo.loanType === 'arm' && propertyInfo.arm) {
+        return `${program}${propertyInfo.arm.product} ARM`;
+    }
+    return `${program}${propertyInfo.loanTerm}-yr fixed`;
+}
+
+/**
+ * Add one-time lump sum principal payment
+ */
+function addLumpSumPayment() {
+    const month = prompt('Enter the loan month for the lump sum payment (e.g., 24 for the end of year 2):');
+    if (!month || isNaN(month) || month < 1 || month > 480) return;
+
+    const amount = prompt('Enter the lump sum amount:');
+    if (!amount || isNaN(amount) || amount <= 0) return;
+
+    appState.lumpSumPayments.push({
+        month: parseInt(month),
+        amount: parseFloat(amount)
+    });
+
+    appState.lumpSumPayments.sort((a, b) => a.month - b.month);
+    renderLumpSumPayments();
+}
+
+/**
+ * Remove lump sum payment
  */
-function displayResults(calculations, propertyInfo, incomeInfo) {
-    // Update summary cards
-    document.getElementById('monthly-payment').textContent = formatCurrency(calculations.totalPayment);
-    document.getElementById('monthly-payment-detail').textContent =
-        `P&I: ${formatCurrency(calculations.principalAndInterest)}${calculations.pmi > 0 ? ` + PMI: ${formatCurrency(calculations.pmi)}` : ''}`;
+function removeLumpSumPayment(index) {
+    appState.lumpSumPayments.splice(index, 1);
+    renderLumpSumPayments();
+}
 
-    document.getElementById('total-monthly-cost').textContent = formatCurrency(calculations.totalMonthlyCost);
+/**
+ * Add a capital expenditure (major component with a replacement schedule)
+ */
+function addCapexItem() {
+    const name = prompt('Component name (e.g., Roof, Windows):');
+    if (!name) return;
 
-    document.getElementById('affordability-ratio').textContent = formatPercent(calculations.affordability.housingRatio, 1);
-    document.getElementById('affordability-status').textContent = getAffordabilityStatusText(calculations.affordability.status);
+    const lifespan = prompt('Lifespan in years:');
+    if (!lifespan || isNaN(lifespan) || lifespan <= 0) return;
 
-    // Update progress bar
-    const progressBar = document.getElementById('affordability-progress');
-    const progressPercent = Math.min(calculations.affordability.housingRatio, 100);
-    progressBar.style.width = `${progressPercent}%`;
-    progressBar.className = `progress-fill ${calculations.affordability.status}`;
+    const cost = prompt('Replacement cost in today\'s dollars:');
+    if (!cost || isNaN(cost) || cost <= 0) return;
 
-    document.getElementById('opportunity-cost').textContent = formatCurrency(calculations.opportunityCost.value);
+    const age = prompt('Current age in years (leave blank to estimate from the home\'s age):');
 
-    // Render payment breakdown chart
-    renderPaymentBreakdown(calculations);
+    appState.capexItems.push({
+        name: name,
+        lifespan: parseFloat(lifespan),
+        replacementCost: parseFloat(cost),
+        ...(age && !isNaN(age) ? { age: parseFloat(age) } : {})
+    });
+    renderCapexItems();
 }
 
 /**
- * Get affordability status text
+ * Remove capital expenditure
  */
-function getAffordabilityStatusText(status) {
-    const statusMap = {
-        'excellent': 'Excellent - Well within guidelines',
-        'good': 'Good - Within acceptable range',
-        'caution': 'Caution - Approaching limits',
-        'warning': 'Warning - Exceeds typical guidelines'
-    };
-    return statusMap[status] || status;
+function removeCapexItem(index) {
+    appState.capexItems.splice(index, 1);
+    renderCapexItems();
 }
 
 /**
- * Handle save scenario button click
+ * Render capital expenditures list
  */
-function handleSaveScenario() {
-    if (!appState.currentScenario) {
-        alert('Please calculate a scenario first before saving.');
-        return;
-    }
+function renderCapexItems() {
+    const container = document.getElementById('capex-list');
 
-    const name = prompt('Enter a name for this scenario:');
-    if (!name || name.trim() === '') {
+    if (appState.capexItems.length === 0) {
+        container.innerHTML = '<p style="color: var(--text-light); font-size: 0.875rem; margin-top: 0.5rem;">No components added</p>';
         return;
     }
 
-    const scenario = createScenarioTemplate();
-    scenario.name = name.trim();
-    scenario.propertyInfo = appState.currentScenario.propertyInfo;
-    scenario.incomeInfo = appState.currentScenario.incomeInfo;
-    scenario.calculations = appState.currentScenario.calculations;
+    container.innerHTML = appState.capexItems.map((item, index) => `
+        <div class="adjustment-item">
+            <span>${escapeHTML(item.name)}: ${formatCurrency(item.replacementCost)} every ${item.lifespan} years${item.age !== undefined ? ` (now ${item.age} years old)` : ''}</span>
+            <button type="button" onclick="removeCapexItem(${index})">Remove</button>
+        </div>
+    `).join('');
+}
 
-    const success = saveScenario(scenario);
+/**
+ * Render lump sum payments list
+ */
+function renderLumpSumPayments() {
+    const container = document.getElementById('lump-sum-list');
 
-    if (success) {
-        alert(`Scenario "${name}" saved successfully!`);
-        appState.savedScenarios = loadScenarios();
-        displayScenarioList();
-        populateAnalysisScenarioSelector(); // Update analysis dropdown
-    } else {
-        alert('Error saving scenario. Please try again.');
+    if (appState.lumpSumPayments.length === 0) {
+        container.innerHTML = '<p style="color: var(--text-light); font-size: 0.875rem; margin-top: 0.5rem;">No lump sums added</p>';
+        return;
     }
+
+    container.innerHTML = appState.lumpSumPayments.map((lumpSum, index) => `
+        <div class="adjustment-item">
+            <span>Month ${lumpSum.month}: ${formatCurrency(lumpSum.amount)}</span>
+            <button type="button" onclick="removeLumpSumPayment(${index})">Remove</button>
+        </div>
+    `).join('');
 }
 
 /**
@@ -409,15 +1303,17 @@ function displayScenarioList() {
         item.innerHTML = `
             <input type="checkbox" id="scenario-${scenario.id}" value="${scenario.id}">
             <div class="scenario-info">
-                <div class="scenario-name">${scenario.name}</div>
+                <div class="scenario-name">${escapeHTML(scenario.name)}</div>
                 <div class="scenario-details">
                     ${formatCurrency(scenario.propertyInfo.purchasePrice)} •
                     ${scenario.propertyInfo.downPaymentPercent}% down •
                     ${formatCurrency(scenario.calculations?.totalPayment || 0)}/mo
                 </div>
+                ${scenario.notes ? `<div class="scenario-details">${escapeHTML(scenario.notes)}</div>` : ''}
             </div>
             <div class="scenario-actions">
                 <button onclick="loadScenarioToForm('${scenario.id}')">Load</button>
+                <button onclick="handlePrintScenarioReport('${scenario.id}')">Report</button>
                 <button class="delete" onclick="handleDeleteScenario('${scenario.id}')">Delete</button>
             </div>
         `;
@@ -437,17 +1333,100 @@ function loadScenarioToForm(id) {
     document.getElementById('down-payment-percent').value = scenario.propertyInfo.downPaymentPercent;
     document.getElementById('down-payment-percent-number').value = scenario.propertyInfo.downPaymentPercent;
     document.getElementById('interest-rate').value = scenario.propertyInfo.interestRate;
+
+    const pricing = scenario.propertyInfo.pricing || {};
+    document.getElementById('discount-points').value = pricing.discountPoints || 0;
+    document.getElementById('rate-reduction-per-point').value = pricing.rateReductionPerPoint ?? 0.25;
+    document.getElementById('lender-credit-points').value = pricing.lenderCreditPoints || 0;
+    document.getElementById('rate-increase-per-credit').value = pricing.rateIncreasePerCredit ?? 0.25;
+    document.getElementById('buydown-type').value = pricing.buydown || 'none';
+    document.getElementById('buydown-paid-by').value = pricing.buydownPaidBy || 'buyer';
+
+    const closingCosts = { ...DEFAULT_CLOSING_COSTS, ...scenario.propertyInfo.closingCosts };
+    document.getElementById('lender-fees').value = closingCosts.lenderFees;
+    document.getElementById('title-fees').value = closingCosts.titleFees;
+    document.getElementById('appraisal-fee').value = closingCosts.appraisal;
+    document.getElementById('transfer-tax-rate').value = closingCosts.transferTaxRate;
+    document.getElementById('prepaid-interest-days').value = closingCosts.prepaidInterestDays;
+    document.getElementById('escrow-months').value = closingCosts.escrowMonths;
+    document.getElementById('reserve-months').value = closingCosts.reserveMonths;
+
     document.getElementById('loan-term').value = scenario.propertyInfo.loanTerm;
+    document.getElementById('loan-type').value = scenario.propertyInfo.loanType || 'fixed';
+    document.getElementById('loan-program').value = scenario.propertyInfo.loanProgram || 'conventional';
+    document.getElementById('va-usage').value = scenario.propertyInfo.vaUsage || 'first';
+    updateLoanProgramOptionsVisibility();
+    if (scenario.propertyInfo.arm) {
+        const arm = scenario.propertyInfo.arm;
+        document.getElementById('arm-product').value = arm.product;
+        document.getElementById('arm-index-rate').value = arm.indexRate;
+        document.getElementById('arm-margin').value = arm.margin;
+        document.getElementById('arm-index-change').value = arm.indexChange;
+        document.getElementById('arm-index-path').value = (arm.indexPath || []).join(', ');
+        document.getElementById('arm-initial-cap').value = arm.initialCap ?? '';
+        document.getElementById('arm-periodic-cap').value = arm.periodicCap ?? '';
+        document.getElementById('arm-lifetime-cap').value = arm.lifetimeCap ?? '';
+    }
+    updateArmOptionsVisibility();
+
+    const pmiOptions = scenario.propertyInfo.pmiOptions || {};
+    document.getElementById('credit-score').value = pmiOptions.creditScore || 740;
+    document.getElementById('pmi-cancellation').value = pmiOptions.cancellation || 'automatic';
+
     document.getElementById('property-tax').value = scenario.propertyInfo.propertyTax;
     document.getElementById('insurance').value = scenario.propertyInfo.insurance;
     document.getElementById('hoa').value = scenario.propertyInfo.hoa;
     document.getElementById('utilities').value = scenario.propertyInfo.utilities;
-    document.getElementById('maintenance').value = scenario.propertyInfo.maintenance;
+    document.getElementById('maintenance').value = scenario.propertyInfo.baseMaintenance ?? scenario.propertyInfo.maintenance;
+    document.getElementById('insurance-rate').value = scenario.propertyInfo.insuranceRate ?? '';
+    document.getElementById('maintenance-rate').value = scenario.propertyInfo.maintenanceRate ?? '';
+    document.getElementById('home-age').value = scenario.propertyInfo.homeAge ?? '';
+    appState.capexItems = getCapexItems(scenario.propertyInfo);
+    renderCapexItems();
+
+    const rental = { ...DEFAULT_RENTAL, ...(scenario.propertyInfo.rental || {}) };
+    document.getElementById('property-type').value = rental.propertyType;
+    document.getElementById('rental-monthly-rent').value = rental.monthlyRent;
+    document.getElementById('rental-vacancy').value = rental.vacancyRate;
+    document.getElementById('rental-management-fee').value = rental.managementFeeRate;
+    document.getElementById('landlord-insurance').value = rental.landlordInsurance;
+    document.getElementById('rental-growth').value = rental.rentGrowth;
+    document.getElementById('rental-lender-credit').value = rental.lenderCredit;
+    updateRentalOptionsVisibility();
 
     document.getElementById('annual-income').value = scenario.incomeInfo.annualIncome;
     document.getElementById('monthly-debts').value = scenario.incomeInfo.monthlyDebts;
     document.getElementById('investment-return').value = scenario.incomeInfo.investmentReturn;
     document.getElementById('current-portfolio').value = scenario.incomeInfo.currentPortfolio;
+    document.getElementById('household-size').value = scenario.incomeInfo.householdSize || 1;
+    document.getElementById('region').value = scenario.incomeInfo.region || 'south';
+
+    const tax = getTaxProfile(scenario.incomeInfo);
+    document.getElementById('filing-status').value = tax.filingStatus;
+    document.getElementById('retirement-contribution').value = tax.retirementContributionPercent;
+    document.getElementById('hsa-contribution').value = tax.hsaContribution;
+    document.getElementById('state-tax-type').value = tax.state.type;
+    document.getElementById('state-tax-rate').value = tax.state.rate;
+    document.getElementById('state-tax-brackets').value = (tax.state.brackets || []).map(([start, rate]) => `${start}:${rate}`).join(', ');
+    updateStateTaxOptionsVisibility();
+
+    const accounts = getAccountSettings(scenario.incomeInfo);
+    document.getElementById('portfolio-traditional-percent').value = accounts.traditionalPercent;
+    document.getElementById('portfolio-roth-percent').value = accounts.rothPercent;
+    document.getElementById('contribution-order').value = accounts.contributionOrder;
+    document.getElementById('roth-limit').value = accounts.rothLimit;
+    document.getElementById('dividend-yield').value = accounts.dividendYield;
+    document.getElementById('dividend-tax-rate').value = accounts.dividendTaxRate;
+    document.getElementById('investment-capital-gains-rate').value = accounts.capitalGainsRate;
+    document.getElementById('withdrawal-tax-rate').value = accounts.withdrawalTaxRate;
+    document.getElementById('early-withdrawal-penalty').value = accounts.earlyWithdrawalPenalty;
+
+    const prepayments = scenario.propertyInfo.prepayments || {};
+    document.getElementById('extra-monthly-principal').value = prepayments.monthlyExtra || 0;
+    document.getElementById('extra-annual-principal').value = prepayments.annualExtra || 0;
+    document.getElementById('extra-escalation-rate').value = prepayments.escalationRate || 0;
+    appState.lumpSumPayments = (prepayments.lumpSums || []).map(lumpSum => ({ ...lumpSum }));
+    renderLumpSumPayments();
 
     updateDownPaymentAmount();
 
@@ -477,6 +1456,443 @@ function handleDeleteScenario(id) {
     }
 }
 
+/**
+ * Read a dropped or picked scenario file and show the import preview
+ * Excel tracker CSVs are converted to scenarios first, using the Calculator's income inputs
+ */
+function handleImportFile(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function() {
+        let json = reader.result;
+        let tracker = null;
+        if (file.name.toLowerCase().endsWith('.csv')) {
+            tracker = parseTrackerCSV(reader.result, getIncomeInfoFromForm());
+            if (!tracker.success) {
+                alert(tracker.message);
+                return;
+            }
+            json = JSON.stringify(tracker.scenarios);
+        }
+
+        const preview = previewImport(json);
+        if (!preview.success) {
+            alert(preview.message);
+            return;
+        }
+        appState.pendingImport = { json: json, fileName: file.name, preview: preview, tracker: tracker };
+        renderImportPreview();
+    };
+    reader.onerror = function() {
+        alert(`Error reading ${file.name}.`);
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Format a scenario field value for the import diff
+ */
+function formatImportValue(value) {
+    if (value === undefined) return '(none)';
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Show the pending import: new, changed, identical and invalid scenarios, with a field-level
+ * diff and a keep mine / take theirs / keep both choice for each changed scenario
+ */
+function renderImportPreview() {
+    const { fileName, preview, tracker } = appState.pendingImport;
+    const statusLabels = { new: 'New', changed: 'Changed', identical: 'Identical', invalid: 'Invalid' };
+
+    document.getElementById('import-summary').textContent =
+        `${fileName}: ${tracker ? `${tracker.message}. ` : ''}${preview.message}`;
+    const trackerNotes = tracker && tracker.discrepancies.length > 0 ? `
+        <div class="import-entry changed">
+            <div class="scenario-name">Spreadsheet values that differ from this app</div>
+            <table class="import-diff">
+                <thead><tr><th>Row</th><th>Property</th><th>Column</th><th>Sheet</th><th>App</th></tr></thead>
+                <tbody>
+                    ${tracker.discrepancies.map(item => `
+                        <tr>
+                            <td>${item.row}</td>
+                            <td>${escapeHTML(item.name)}</td>
+                            <td>${item.column}</td>
+                            <td>${formatCurrency(item.sheet)}</td>
+                            <td>${formatCurrency(item.app)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    ` : '';
+    document.getElementById('import-entries').innerHTML = trackerNotes + preview.entries.map(entry => {
+        const name = entry.scenario?.name || `Scenario ${entry.index + 1}`;
+        let body = '';
+
+        if (entry.status === 'changed') {
+            body = `
+                <table class="import-diff">
+                    <thead><tr><th>Field</th><th>Mine</th><th>Theirs</th></tr></thead>
+                    <tbody>
+                        ${entry.differences.map(difference => `
+                            <tr>
+                                <td>${escapeHTML(difference.field)}</td>
+                                <td>${escapeHTML(formatImportValue(difference.mine))}</td>
+                                <td>${escapeHTML(formatImportValue(difference.theirs))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } else if (entry.status === 'invalid') {
+            body = `<ul class="import-errors">${entry.errors.map(error => `<li>${escapeHTML(error)}</li>`).join('')}</ul>`;
+        }
+
+        return `
+            <div class="import-entry ${entry.status}">
+                <div class="import-entry-header">
+                    <div>
+                        <div class="scenario-name">${escapeHTML(name)}</div>
+                        <span class="import-status ${entry.status}">${statusLabels[entry.status]}</span>
+                    </div>
+                    ${entry.status === 'changed' ? `
+                        <select id="import-resolution-${entry.index}">
+                            <option value="mine" selected>Keep mine</option>
+                            <option value="theirs">Take theirs</option>
+                            <option value="both">Keep both</option>
+                        </select>
+                    ` : ''}
+                </div>
+                ${body}
+            </div>
+        `;
+    }).join('');
+
+    const importable = preview.entries.some(entry => entry.status === 'new' || entry.status === 'changed');
+    document.getElementById('confirm-import-btn').disabled = !importable;
+    document.getElementById('import-preview').style.display = 'block';
+}
+
+/**
+ * Import the pending file with the chosen conflict resolutions
+ */
+function handleConfirmImport() {
+    if (!appState.pendingImport) return;
+
+    const resolutions = {};
+    appState.pendingImport.preview.entries
+        .filter(entry => entry.status === 'changed')
+        .forEach(entry => {
+            resolutions[entry.scenario.id] = document.getElementById(`import-resolution-${entry.index}`).value;
+        });
+
+    const result = importFromJSON(appState.pendingImport.json, resolutions);
+    const invalidDetail = (result.invalid || [])
+        .map(item => `\n${item.name}: ${item.errors.join('; ')}`)
+        .join('');
+    alert(result.message + invalidDetail);
+
+    if (result.success) {
+        handleCancelImport();
+        appState.savedScenarios = loadScenarios();
+        displayScenarioList();
+        populateAnalysisScenarioSelector(); // Update analysis dropdown
+    }
+}
+
+/**
+ * Discard the pending import
+ */
+function handleCancelImport() {
+    appState.pendingImport = null;
+    document.getElementById('import-preview').style.display = 'none';
+    document.getElementById('import-entries').innerHTML = '';
+    document.getElementById('import-file-input').value = '';
+}
+
+/**
+ * Monthly amortization schedule columns for CSV export
+ */
+const AMORTIZATION_CSV_COLUMNS = [
+    { header: 'Month', key: 'month' },
+    { header: 'Rate (%)', key: 'rate', exact: true },
+    { header: 'Payment (P&I)', key: 'payment' },
+    { header: 'Principal', key: 'principal' },
+    { header: 'Extra Principal', key: 'extraPrincipal' },
+    { header: 'Interest', key: 'interest' },
+    { header: 'Mortgage Insurance', key: 'pmi' },
+    { header: 'Buydown Subsidy', key: 'buydownSubsidy' },
+    { header: 'Balance', key: 'balance' }
+];
+
+/**
+ * Year-by-year Analysis projection columns for CSV export (nominal dollars)
+ */
+const PROJECTION_CSV_COLUMNS = [
+    { header: 'Year', key: 'year' },
+    { header: 'Annual Income', key: 'annualIncome' },
+    { header: 'Annual Taxes', key: 'annualTaxes' },
+    { header: 'Homeowner Tax Savings', key: 'homeTaxSavings' },
+    { header: 'Monthly Take-Home', key: 'monthlyTakeHome' },
+    { header: 'Monthly Rental Income', key: 'monthlyRentalIncome' },
+    { header: 'Monthly Housing', key: 'monthlyHousing' },
+    { header: 'Monthly Expenses', key: 'monthlyExpenses' },
+    { header: 'Monthly Savings', key: 'monthlySavings' },
+    { header: 'One-Time Expenses', key: 'oneTimeExpense' },
+    { header: 'Portfolio', key: 'portfolio' },
+    { header: 'Portfolio After Tax', key: 'portfolioAfterTax' },
+    { header: 'Equity', key: 'equity' },
+    { header: 'Net Proceeds if Sold', key: 'netProceeds' },
+    { header: 'Net Worth', key: 'netWorth' }
+];
+
+/**
+ * Build CSV rows for a list of scenario tables, one row per table row, led by the scenario name
+ */
+function buildScenarioTableCSV(tables, columns) {
+    return formatCSV([
+        ['Scenario', ...columns.map(column => column.header)],
+        ...tables.flatMap(({ scenario, rows }) =>
+            rows.map(row => [scenario.name, ...columns.map(column => column.exact ? row[column.key] : roundToCents(row[column.key]))])
+        )
+    ]);
+}
+
+/**
+ * Build the monthly amortization schedule CSV for scenarios
+ * Uses each scenario's loan as saved (extra principal, ARM resets, buydowns, PMI drop-off)
+ */
+function buildAmortizationCSV(scenarios) {
+    const { appreciationRate } = getAnalysisSettingsFromForm();
+    return buildScenarioTableCSV(scenarios.map(scenario => ({
+        scenario,
+        rows: generateAmortizationSchedule(
+            scenario.calculations.loanAmount,
+            getNoteRate(scenario.propertyInfo),
+            scenario.propertyInfo.loanTerm,
+            getLoanOptions(scenario.propertyInfo, appreciationRate)
+        )
+    })), AMORTIZATION_CSV_COLUMNS);
+}
+
+/**
+ * Build the year-by-year Analysis projection CSV for scenarios, using the Analysis tab's settings
+ */
+function buildProjectionCSV(scenarios) {
+    const settings = getAnalysisSettingsFromForm();
+    return buildScenarioTableCSV(scenarios.map(scenario => ({
+        scenario,
+        rows: calculateYearByYearFinancials(
+            withRefinance(scenario, settings.refinance),
+            settings.timeframe,
+            settings.annualRaise,
+            settings.otherExpenses,
+            settings.savingsRate,
+            settings.lifeEvents,
+            scenario.incomeInfo.investmentReturn,
+            settings.appreciationRate
+        ).yearlyData
+    })), PROJECTION_CSV_COLUMNS);
+}
+
+/**
+ * Get the calculated scenarios selected in the Compare list, or all saved scenarios if none are selected
+ */
+function getScenariosForExport() {
+    const checkboxes = document.querySelectorAll('#scenario-list input[type="checkbox"]:checked');
+    const selectedIds = Array.from(checkboxes).map(cb => cb.value);
+    return (selectedIds.length > 0 ? selectedIds.map(id => getScenario(id)) : loadScenarios())
+        .filter(scenario => scenario && scenario.calculations);
+}
+
+/**
+ * Export the selected saved scenarios (all of them if none are selected) as the Excel tracker workbook
+ */
+function handleExportXLSX() {
+    const scenarios = getScenariosForExport();
+    if (scenarios.length === 0) {
+        alert('No calculated scenarios to export. Save a scenario from the Calculator first.');
+        return;
+    }
+
+    exportToXLSX(scenarios);
+}
+
+/**
+ * Export the selected saved scenarios (all of them if none are selected) to CSV, with optional
+ * amortization schedule and year-by-year projection files
+ */
+function handleExportCSV() {
+    const scenarios = getScenariosForExport();
+    if (scenarios.length === 0) {
+        alert('No calculated scenarios to export. Save a scenario from the Calculator first.');
+        return;
+    }
+
+    const date = new Date().toISOString().split('T')[0];
+    const columns = document.getElementById('export-include-details').checked
+        ? [...TRACKER_EXPORT_COLUMNS, ...DETAIL_EXPORT_COLUMNS]
+        : TRACKER_EXPORT_COLUMNS;
+    downloadFile(exportToCSV(scenarios, columns), `home-purchase-scenarios-${date}.csv`, 'text/csv');
+
+    if (document.getElementById('export-include-amortization').checked) {
+        downloadFile(buildAmortizationCSV(scenarios), `home-purchase-amortization-${date}.csv`, 'text/csv');
+    }
+    if (document.getElementById('export-include-projections').checked) {
+        downloadFile(buildProjectionCSV(scenarios), `home-purchase-projections-${date}.csv`, 'text/csv');
+    }
+}
+
+/**
+ * Gather what a printed report shows for a scenario: its loan's amortization schedule and the
+ * Analysis tab's projection and buy vs rent comparison, in today's dollars if selected
+ * @param {Object} scenario - Saved scenario, or the current calculation with a name
+ * @param {Object} settings - From getAnalysisSettingsFromForm
+ * @returns {Object} {scenario, schedule, projection: {yearlyData, equityData}, rentComparison: {buy, rent}}
+ */
+function getScenarioReportData(scenario, settings) {
+    const projectedScenario = withRefinance(scenario, settings.refinance);
+    const investmentReturn = scenario.incomeInfo.investmentReturn;
+    const inflationRate = getDisplayInflationRate();
+
+    const financialProjection = calculateYearByYearFinancials(
+        projectedScenario,
+        settings.timeframe,
+        settings.annualRaise,
+        settings.otherExpenses,
+        settings.savingsRate,
+        settings.lifeEvents,
+        investmentReturn,
+        settings.appreciationRate
+    );
+    const rentComparison = calculateBuyVsRent(
+        projectedScenario,
+        settings.monthlyRent,
+        settings.rentIncrease,
+        settings.timeframe,
+        settings.annualRaise,
+        settings.otherExpenses,
+        settings.savingsRate,
+        settings.lifeEvents,
+        investmentReturn,
+        settings.appreciationRate
+    );
+
+    return {
+        scenario: scenario,
+        schedule: generateAmortizationSchedule(
+            scenario.calculations.loanAmount,
+            getNoteRate(scenario.propertyInfo),
+            scenario.propertyInfo.loanTerm,
+            getLoanOptions(scenario.propertyInfo, settings.appreciationRate)
+        ),
+        projection: {
+            yearlyData: adjustForInflation(financialProjection.yearlyData, PROJECTION_DOLLAR_FIELDS, inflationRate),
+            equityData: adjustForInflation(financialProjection.equityData, EQUITY_DOLLAR_FIELDS, inflationRate)
+        },
+        rentComparison: {
+            buy: adjustForInflation(rentComparison.buy, PROJECTION_DOLLAR_FIELDS, inflationRate),
+            rent: adjustForInflation(rentComparison.rent, PROJECTION_DOLLAR_FIELDS, inflationRate)
+        }
+    };
+}
+
+/**
+ * Print the decision report for one scenario, using the Analysis tab's settings
+ */
+function printScenarioReport(scenario) {
+    const settings = getAnalysisSettingsFromForm();
+    printReport(
+        `${scenario.name} - Home Purchase Report`,
+        buildScenarioReport(getScenarioReportData(scenario, settings), settings, getDisplayInflationRate())
+    );
+}
+
+/**
+ * Print the head-to-head report for two saved scenarios
+ * @param {Object} comparison - compareHousesWithSettings result for the two scenarios
+ * @param {Object} comparisonSettings - The Comprehensive House Comparison inputs it was run with
+ */
+function printComparisonReport(scenarioA, scenarioB, comparison, comparisonSettings) {
+    const settings = getAnalysisSettingsFromForm();
+    printReport(
+        `${scenarioA.name} vs ${scenarioB.name} - Home Purchase Report`,
+        buildComparisonReport(
+            [getScenarioReportData(scenarioA, settings), getScenarioReportData(scenarioB, settings)],
+            comparison,
+            settings,
+            comparisonSettings
+        )
+    );
+}
+
+/**
+ * Print a report for the current Calculator result
+ */
+function handlePrintCurrentReport() {
+    if (!appState.currentScenario) {
+        alert('Please calculate a scenario first before printing a report.');
+        return;
+    }
+
+    printScenarioReport({ name: 'Current Calculation', ...appState.currentScenario });
+}
+
+/**
+ * Print a report for a saved scenario
+ */
+function handlePrintScenarioReport(id) {
+    const scenario = getScenario(id);
+    if (!scenario || !scenario.calculations) {
+        alert('This scenario has no calculations. Load it, calculate and save it again first.');
+        return;
+    }
+
+    printScenarioReport(scenario);
+}
+
+/**
+ * Print a report for the scenarios selected in the Compare list: one scenario, or two head-to-head
+ * A head-to-head reuses the Comprehensive House Comparison on screen when it is for the same two scenarios
+ */
+async function handlePrintSelectedReport() {
+    const checkboxes = document.querySelectorAll('#scenario-list input[type="checkbox"]:checked');
+    const scenarios = Array.from(checkboxes).map(cb => getScenario(cb.value)).filter(scenario => scenario && scenario.calculations);
+
+    if (scenarios.length === 1) {
+        printScenarioReport(scenarios[0]);
+    } else if (scenarios.length === 2) {
+        const shown = appState.houseComparison;
+        if (shown && shown.scenarioA.id === scenarios[0].id && shown.scenarioB.id === scenarios[1].id) {
+            printComparisonReport(shown.scenarioA, shown.scenarioB, shown.comparison, shown.settings);
+        } else {
+            const comparisonSettings = getHouseComparisonSettingsFromForm();
+            const comparison = await compareHousesWithSettings(scenarios[0], scenarios[1], comparisonSettings);
+            printComparisonReport(scenarios[0], scenarios[1], comparison, comparisonSettings);
+        }
+    } else {
+        alert('Select one calculated scenario for a report, or two for a head-to-head report.');
+    }
+}
+
+/**
+ * Print the head-to-head report for the Comprehensive House Comparison on screen
+ */
+function handlePrintComparisonReport() {
+    const shown = appState.houseComparison;
+    if (!shown ||
+        shown.scenarioA.id !== document.getElementById('scenario-a-select').value ||
+        shown.scenarioB.id !== document.getElementById('scenario-b-select').value) {
+        alert('Please run the comparison for the selected Scenario A and Scenario B first.');
+        return;
+    }
+
+    printComparisonReport(shown.scenarioA, shown.scenarioB, shown.comparison, shown.settings);
+}
+
 /**
  * Handle compare scenarios button click
  */
@@ -722,27 +2138,179 @@ function getLifeEventsFromForm() {
     });
 }
 
+/**
+ * Calculate average monthly housing cost for each projection year
+ * Follows the loan's actual payments (buydown years, ARM resets, extra principal,
+ * PMI drop-off, early payoff) instead of holding the first month's P&I and PMI constant
+ */
+function calculateMonthlyHousingByYear(scenario, years, appreciationRate = null, costEscalation = getCostEscalationFromForm(), schedule = generateScenarioSchedule(scenario, appreciationRate)) {
+    const { calculations } = scenario;
+
+    // Tax, insurance, HOA, utilities and maintenance escalate; anything else in the total stays flat
+    const housingCosts = calculateHousingCostsByYear(scenario, years, appreciationRate, costEscalation);
+    const otherCost = calculations.totalMonthlyCost - calculations.principalAndInterest - calculations.pmi - housingCosts[0].total;
+
+    return Array.from({ length: years }, (_, index) => {
+        const loanPayments = schedule
+            .slice(index * 12, (index + 1) * 12)
+            .reduce((sum, month) => sum + month.payment - month.buydownSubsidy + month.extraPrincipal + month.pmi, 0);
+        return otherCost + housingCosts[index].total + loanPayments / 12;
+    });
+}
+
+/**
+ * Generate a scenario's monthly amortization schedule with its saved loan options
+ */
+function generateScenarioSchedule(scenario, appreciationRate = null) {
+    return generateAmortizationSchedule(
+        scenario.calculations.loanAmount,
+        getNoteRate(scenario.propertyInfo),
+        scenario.propertyInfo.loanTerm,
+        getLoanOptions(scenario.propertyInfo, appreciationRate)
+    );
+}
+
+/**
+ * Escalate a scenario's recurring housing costs with the Analysis cost growth settings
+ */
+function calculateHousingCostsByYear(scenario, years, appreciationRate = null, costEscalation = getCostEscalationFromForm()) {
+    const { propertyInfo } = scenario;
+    return calculateEscalatedCosts(propertyInfo, years, costEscalation, appreciationRate || 0, {
+        homeValue: propertyInfo.purchasePrice,
+        insuranceRate: propertyInfo.insuranceRate ?? null,
+        maintenanceRate: propertyInfo.maintenanceRate ?? null,
+        homeAge: propertyInfo.homeAge ?? null
+    });
+}
+
+/**
+ * Schedule a scenario's component replacements, with costs growing at the maintenance escalation rate
+ */
+function calculateScenarioCapex(scenario, years, costEscalation = getCostEscalationFromForm()) {
+    const { propertyInfo } = scenario;
+    return calculateCapexSchedule(getCapexItems(propertyInfo), propertyInfo.homeAge || 0, years, costEscalation.maintenance);
+}
+
+/**
+ * Get a scenario's component replacement items
+ * Scenarios saved before replacements were modeled get the default roof, HVAC and water heater,
+ * like new scenarios; an empty list means every component was removed
+ */
+function getCapexItems(propertyInfo) {
+    const items = Array.isArray(propertyInfo.capexItems) ? propertyInfo.capexItems : DEFAULT_CAPEX_ITEMS;
+    return items.map(item => ({ ...item }));
+}
+
+/**
+ * Monthly rental income from other units or rooms for each projection year
+ * Landlord insurance grows at the insurance escalation rate
+ */
+function calculateScenarioRentalIncome(scenario, years, costEscalation = getCostEscalationFromForm()) {
+    const rental = scenario.propertyInfo.rental || {};
+    const insuranceEscalation = costEscalation.insurance;
+    return Array.from({ length: years }, (_, index) => calculateRentalIncome(rental, index + 1, insuranceEscalation));
+}
+
+/**
+ * Get cost escalation rates from the Analysis form
+ * A blank property tax rate follows home appreciation; a blank reassessment cap means no cap
+ */
+function getCostEscalationFromForm() {
+    const readRate = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) ? fallback : value;
+    };
+
+    return {
+        propertyTax: readRate('escalation-property-tax', null),
+        reassessmentCap: readRate('reassessment-cap', null),
+        insurance: readRate('escalation-insurance', DEFAULT_COST_ESCALATION.insurance),
+        hoa: readRate('escalation-hoa', DEFAULT_COST_ESCALATION.hoa),
+        utilities: readRate('escalation-utilities', DEFAULT_COST_ESCALATION.utilities),
+        maintenance: readRate('escalation-maintenance', DEFAULT_COST_ESCALATION.maintenance),
+        livingExpenses: readRate('escalation-living', DEFAULT_COST_ESCALATION.livingExpenses)
+    };
+}
+
+/**
+ * Get the form settings every projection reads: sale costs, cost escalation and the inflation assumption
+ * Read once per run and passed along, so simulated paths don't touch the DOM
+ */
+function getProjectionSettingsFromForm() {
+    return {
+        sale: getSaleFromForm(),
+        costEscalation: getCostEscalationFromForm(),
+        inflationRate: getInflationRate()
+    };
+}
+
+/**
+ * Mortgage interest paid and average loan balance for each year of a projection
+ */
+function calculateMortgageInterestByYear(scenario, years, appreciationRate = null, schedule = generateScenarioSchedule(scenario, appreciationRate)) {
+    return Array.from({ length: years }, (_, index) => {
+        const months = schedule.slice(index * 12, (index + 1) * 12);
+        return {
+            mortgageInterest: months.reduce((sum, month) => sum + month.interest, 0),
+            averageLoanBalance: months.reduce((sum, month) => sum + month.balance, 0) / 12
+        };
+    });
+}
+
+/**
+ * Calculate a projection year's federal tax savings from itemizing mortgage interest and property tax
+ */
+function calculateYearHomeownerTaxSavings(annualIncome, scenario, mortgageInterest, monthlyPropertyTax, year, inflationRate = getInflationRate(), otherIncome = 0) {
+    return calculateHomeownerTaxSavings(
+        annualIncome,
+        getTaxProfile(scenario.incomeInfo),
+        { ...mortgageInterest, propertyTax: monthlyPropertyTax * 12 },
+        year - 1,
+        inflationRate,
+        otherIncome
+    );
+}
+
 /**
  * Calculate year-by-year financials for buying scenario
+ * investmentReturn and appreciationRate may be fixed rates or per-year paths;
+ * projectionSettings is a getProjectionSettingsFromForm result
  */
-function calculateYearByYearFinancials(scenario, years, annualRaise, baseExpenses, savingsRate, lifeEvents, investmentReturn, appreciationRate) {
+function calculateYearByYearFinancials(scenario, years, annualRaise, baseExpenses, savingsRate, lifeEvents, investmentReturn, appreciationRate, projectionSettings = getProjectionSettingsFromForm()) {
+    const { sale, costEscalation, inflationRate } = projectionSettings;
     const monthlyIncome = scenario.incomeInfo.annualIncome / 12;
-    const monthlyHousing = scenario.calculations.totalMonthlyCost;
-    const startingPortfolio = Math.max(0, scenario.incomeInfo.currentPortfolio - scenario.propertyInfo.downPaymentAmount);
+    const schedule = generateScenarioSchedule(scenario, appreciationRate);
+    const monthlyHousingByYear = calculateMonthlyHousingByYear(scenario, years, appreciationRate, costEscalation, schedule);
+    const mortgageInterestByYear = calculateMortgageInterestByYear(scenario, years, appreciationRate, schedule);
+    const housingCosts = calculateHousingCostsByYear(scenario, years, appreciationRate, costEscalation);
+    const capex = calculateScenarioCapex(scenario, years, costEscalation);
+    const rentalIncome = calculateScenarioRentalIncome(scenario, years, costEscalation);
+    const livingExpenseRate = costEscalation.livingExpenses;
+    const refinance = scenario.propertyInfo.refinance || null;
+    const refinanceYear = refinance ? Math.ceil((refinance.month + 1) / 12) : null;
+    const accountSettings = getAccountSettings(scenario.incomeInfo);
 
     const yearlyData = [];
     let currentIncome = scenario.incomeInfo.annualIncome;
-    let portfolio = startingPortfolio;
     let ongoingExpenseAdjustment = 0;
 
-    // Calculate equity buildup
-    const equityData = calculateEquityOverTime(
+    // Cash to close comes out of the portfolio, taxable account first
+    let accounts = adjustInvestmentAccounts(
+        createInvestmentAccounts(scenario.incomeInfo.currentPortfolio, accountSettings),
+        -getCashToClose(scenario),
+        accountSettings
+    );
+
+    // Calculate equity buildup (continues past payoff for long timeframes) and net proceeds if sold
+    const equityData = addScenarioSaleProceeds(scenario, calculateEquityOverTime(
         scenario.propertyInfo.purchasePrice,
         scenario.calculations.loanAmount,
-        scenario.propertyInfo.interestRate,
-        Math.min(years, scenario.propertyInfo.loanTerm),
-        appreciationRate
-    );
+        getNoteRate(scenario.propertyInfo),
+        scenario.propertyInfo.loanTerm,
+        appreciationRate,
+        getLoanOptions(scenario.propertyInfo, appreciationRate),
+        years
+    ), sale);
 
     for (let year = 1; year <= years; year++) {
         // Apply annual raise
@@ -756,9 +2324,10 @@ function calculateYearByYearFinancials(scenario, years, annualRaise, baseExpense
 
         const monthlyIncomeThisYear = currentIncome / 12;
 
-        // Calculate expenses for this year
-        let monthlyExpenses = monthlyHousing + baseExpenses + ongoingExpenseAdjustment;
-        let oneTimeExpense = 0;
+        // Calculate expenses for this year (living expenses escalate); component replacements are paid from the portfolio
+        let monthlyExpenses = monthlyHousingByYear[year - 1] + escalateAmount(baseExpenses, livingExpenseRate, year) + ongoingExpenseAdjustment;
+        const capitalExpense = capex[year - 1].cost;
+        let oneTimeExpense = capitalExpense;
 
         // Apply life events
         lifeEvents.forEach(event => {
@@ -776,33 +2345,62 @@ function calculateYearByYearFinancials(scenario, years, annualRaise, baseExpense
         // Recalculate monthly income if income event happened
         const finalMonthlyIncome = currentIncome / 12;
 
+        // Take-home pay after taxes, less the federal tax saved by itemizing mortgage interest and
+        // property tax; net rent from other units is taxed with wages; pre-tax 401(k)/HSA contributions are invested
+        const monthlyRentalIncome = rentalIncome[year - 1].netRentalIncome;
+        const taxes = calculateYearTaxes(currentIncome, scenario.incomeInfo, year, inflationRate, monthlyRentalIncome * 12);
+        const homeTax = calculateYearHomeownerTaxSavings(currentIncome, scenario, mortgageInterestByYear[year - 1], housingCosts[year - 1].propertyTax, year, inflationRate, monthlyRentalIncome * 12);
+        const monthlyTakeHome = (taxes.netIncome + homeTax.taxSavings) / 12;
+        const monthlyPreTaxSavings = taxes.preTaxContributions / 12;
+
         // Calculate discretionary and savings
-        const monthlyDiscretionary = finalMonthlyIncome - monthlyExpenses;
+        const monthlyDiscretionary = monthlyTakeHome - monthlyExpenses;
         const monthlySavings = monthlyDiscretionary > 0 ? (monthlyDiscretionary * savingsRate / 100) : 0;
 
-        // Calculate portfolio growth for the year
-        const monthlyRate = investmentReturn / 100 / 12;
-        for (let month = 1; month <= 12; month++) {
-            portfolio += monthlySavings;
-            portfolio *= (1 + monthlyRate);
-        }
+        // Calculate portfolio growth for the year: pre-tax contributions to the traditional account,
+        // savings to the Roth and taxable accounts
+        accounts = growInvestmentAccountsForYear(accounts, monthlySavings, monthlyPreTaxSavings, getRateForYear(investmentReturn, year), accountSettings);
 
         // Subtract one-time expenses from portfolio
-        portfolio = Math.max(0, portfolio - oneTimeExpense);
+        accounts = adjustInvestmentAccounts(accounts, -oneTimeExpense, accountSettings);
+
+        // Refinance: cash-out goes into the portfolio, closing costs paid in cash come out of it
+        if (year === refinanceYear) {
+            const cashClosingCosts = refinance.financeClosingCosts ? 0 : refinance.closingCosts;
+            accounts = adjustInvestmentAccounts(accounts, refinance.cashOut - cashClosingCosts, accountSettings);
+        }
 
+        const portfolio = getInvestmentAccountsTotal(accounts);
+        const portfolioAfterTax = calculateAccountsAfterTax(accounts, accountSettings).afterTaxValue;
         const equity = equityData[year - 1]?.equity || 0;
+        const netProceeds = equityData[year - 1]?.netProceeds || 0;
 
         yearlyData.push({
             year: year,
             annualIncome: currentIncome,
             monthlyIncome: finalMonthlyIncome,
+            annualTaxes: taxes.totalTax - homeTax.taxSavings,
+            homeTaxSavings: homeTax.taxSavings,
+            itemizes: homeTax.itemizes,
+            monthlyTakeHome: monthlyTakeHome,
+            monthlyPreTaxSavings: monthlyPreTaxSavings,
+            monthlyRentalIncome: monthlyRentalIncome,
+            monthlyHousing: monthlyHousingByYear[year - 1],
             monthlyExpenses: monthlyExpenses,
             monthlyDiscretionary: monthlyDiscretionary,
             monthlySavings: monthlySavings,
             oneTimeExpense: oneTimeExpense,
+            capitalExpense: capitalExpense,
+            capitalItems: capex[year - 1].items,
             portfolio: portfolio,
+            portfolioAfterTax: portfolioAfterTax,
+            taxableBalance: accounts.taxable,
+            traditionalBalance: accounts.traditional,
+            rothBalance: accounts.roth,
             equity: equity,
-            netWorth: portfolio + equity
+            netProceeds: netProceeds,
+            liquidatedNetWorth: portfolioAfterTax + netProceeds,
+            netWorth: sale.netWorthBasis === 'liquidated' ? portfolioAfterTax + netProceeds : portfolio + equity
         });
     }
 
@@ -812,17 +2410,31 @@ function calculateYearByYearFinancials(scenario, years, annualRaise, baseExpense
     };
 }
 
+/**
+ * Dollar fields in year-by-year buy and rent projection rows
+ */
+const PROJECTION_DOLLAR_FIELDS = [
+    'annualIncome', 'monthlyIncome', 'annualTaxes', 'homeTaxSavings', 'monthlyTakeHome', 'monthlyPreTaxSavings', 'monthlyRentalIncome', 'monthlyHousing', 'monthlyRent', 'monthlyExpenses',
+    'monthlyDiscretionary', 'monthlySavings', 'oneTimeExpense', 'capitalExpense', 'portfolio', 'portfolioAfterTax', 'taxableBalance', 'traditionalBalance', 'rothBalance',
+    'equity', 'netProceeds', 'liquidatedNetWorth', 'netWorth'
+];
+
 /**
  * Calculate buy vs rent comparison
+ * investmentReturn and appreciationRate may be fixed rates or per-year paths;
+ * projectionSettings is a getProjectionSettingsFromForm result
  */
-function calculateBuyVsRent(scenario, initialRent, rentIncrease, years, annualRaise, baseExpenses, savingsRate, lifeEvents, investmentReturn, appreciationRate) {
+function calculateBuyVsRent(scenario, initialRent, rentIncrease, years, annualRaise, baseExpenses, savingsRate, lifeEvents, investmentReturn, appreciationRate, projectionSettings = getProjectionSettingsFromForm()) {
     // Calculate buying scenario
-    const buyScenario = calculateYearByYearFinancials(scenario, years, annualRaise, baseExpenses, savingsRate, lifeEvents, investmentReturn, appreciationRate);
+    const buyScenario = calculateYearByYearFinancials(scenario, years, annualRaise, baseExpenses, savingsRate, lifeEvents, investmentReturn, appreciationRate, projectionSettings);
 
     // Calculate renting scenario
     const rentScenario = [];
+    const { sale, costEscalation, inflationRate } = projectionSettings;
+    const accountSettings = getAccountSettings(scenario.incomeInfo);
+    const livingExpenseRate = costEscalation.livingExpenses;
     let currentIncome = scenario.incomeInfo.annualIncome;
-    let portfolio = scenario.incomeInfo.currentPortfolio; // Full portfolio (no down payment needed)
+    let accounts = createInvestmentAccounts(scenario.incomeInfo.currentPortfolio, accountSettings); // Full portfolio (no down payment needed)
     let ongoingExpenseAdjustment = 0;
     let currentRent = initialRent;
 
@@ -842,7 +2454,7 @@ function calculateBuyVsRent(scenario, initialRent, rentIncrease, years, annualRa
         const monthlyIncomeThisYear = currentIncome / 12;
 
         // Calculate expenses for this year (rent instead of housing costs)
-        let monthlyExpenses = currentRent + baseExpenses + ongoingExpenseAdjustment;
+        let monthlyExpenses = currentRent + escalateAmount(baseExpenses, livingExpenseRate, year) + ongoingExpenseAdjustment;
         let oneTimeExpense = 0;
 
         // Apply life events (same as buy scenario)
@@ -860,29 +2472,41 @@ function calculateBuyVsRent(scenario, initialRent, rentIncrease, years, annualRa
 
         const finalMonthlyIncome = currentIncome / 12;
 
+        // Take-home pay after taxes (same as buying); pre-tax contributions are invested
+        const taxes = calculateYearTaxes(currentIncome, scenario.incomeInfo, year, inflationRate);
+        const monthlyTakeHome = taxes.netIncome / 12;
+        const monthlyPreTaxSavings = taxes.preTaxContributions / 12;
+
         // Calculate discretionary and savings
-        const monthlyDiscretionary = finalMonthlyIncome - monthlyExpenses;
+        const monthlyDiscretionary = monthlyTakeHome - monthlyExpenses;
         const monthlySavings = monthlyDiscretionary > 0 ? (monthlyDiscretionary * savingsRate / 100) : 0;
 
         // Calculate portfolio growth for the year
-        const monthlyRate = investmentReturn / 100 / 12;
-        for (let month = 1; month <= 12; month++) {
-            portfolio += monthlySavings;
-            portfolio *= (1 + monthlyRate);
-        }
+        accounts = growInvestmentAccountsForYear(accounts, monthlySavings, monthlyPreTaxSavings, getRateForYear(investmentReturn, year), accountSettings);
 
         // Subtract one-time expenses from portfolio
-        portfolio = Math.max(0, portfolio - oneTimeExpense);
+        accounts = adjustInvestmentAccounts(accounts, -oneTimeExpense, accountSettings);
+
+        const portfolio = getInvestmentAccountsTotal(accounts);
+        const portfolioAfterTax = calculateAccountsAfterTax(accounts, accountSettings).afterTaxValue;
 
         rentScenario.push({
             year: year,
             annualIncome: currentIncome,
+            annualTaxes: taxes.totalTax,
+            monthlyTakeHome: monthlyTakeHome,
+            monthlyPreTaxSavings: monthlyPreTaxSavings,
             monthlyRent: currentRent,
             monthlyExpenses: monthlyExpenses,
             monthlyDiscretionary: monthlyDiscretionary,
             monthlySavings: monthlySavings,
             portfolio: portfolio,
-            netWorth: portfolio // No home equity when renting
+            portfolioAfterTax: portfolioAfterTax,
+            taxableBalance: accounts.taxable,
+            traditionalBalance: accounts.traditional,
+            rothBalance: accounts.roth,
+            liquidatedNetWorth: portfolioAfterTax,
+            netWorth: sale.netWorthBasis === 'liquidated' ? portfolioAfterTax : portfolio // No home equity when renting
         });
     }
 
@@ -892,10 +2516,36 @@ function calculateBuyVsRent(scenario, initialRent, rentIncrease, years, annualRa
     };
 }
 
+/**
+ * Get the Analysis tab's projection settings
+ */
+function getAnalysisSettingsFromForm() {
+    return {
+        timeframe: parseInt(document.getElementById('timeframe').value) || 30,
+        appreciationRate: parseFloat(document.getElementById('appreciation-rate').value) || 3.0,
+        annualRaise: parseFloat(document.getElementById('annual-raise').value) || 3.0,
+        otherExpenses: parseFloat(document.getElementById('analysis-other-expenses').value) || 2500,
+        savingsRate: parseFloat(document.getElementById('analysis-savings-rate').value) || 50,
+        monthlyRent: parseFloat(document.getElementById('monthly-rent').value) || 2000,
+        rentIncrease: parseFloat(document.getElementById('rent-increase').value) || 3.0,
+        lifeEvents: getLifeEventsFromForm(),
+        refinance: getRefinanceFromForm()
+    };
+}
+
+/**
+ * Apply a planned refinance (or none) to a scenario's loan
+ */
+function withRefinance(scenario, refinance) {
+    return refinance
+        ? { ...scenario, propertyInfo: { ...scenario.propertyInfo, refinance } }
+        : scenario;
+}
+
 /**
  * Handle update analysis button click - REDESIGNED
  */
-function handleUpdateAnalysis() {
+async function handleUpdateAnalysis() {
     const selectedScenarioId = document.getElementById('analysis-scenario-select').value;
 
     let scenario;
@@ -913,24 +2563,19 @@ function handleUpdateAnalysis() {
     }
 
     // Get all inputs
-    const timeframe = parseInt(document.getElementById('timeframe').value) || 30;
-    const appreciationRate = parseFloat(document.getElementById('appreciation-rate').value) || 3.0;
-    const annualRaise = parseFloat(document.getElementById('annual-raise').value) || 3.0;
-    const otherExpenses = parseFloat(document.getElementById('analysis-other-expenses').value) || 2500;
-    const savingsRate = parseFloat(document.getElementById('analysis-savings-rate').value) || 50;
-    const monthlyRent = parseFloat(document.getElementById('monthly-rent').value) || 2000;
-    const rentIncrease = parseFloat(document.getElementById('rent-increase').value) || 3.0;
+    const { timeframe, appreciationRate, annualRaise, otherExpenses, savingsRate, monthlyRent, rentIncrease, lifeEvents, refinance } =
+        getAnalysisSettingsFromForm();
 
     const propertyInfo = scenario.propertyInfo;
     const incomeInfo = scenario.incomeInfo;
     const calculations = scenario.calculations;
 
-    // Get life events from form
-    const lifeEvents = getLifeEventsFromForm();
+    // Project with the refinance applied to the loan, if one is planned
+    const projectedScenario = withRefinance(scenario, refinance);
 
     // Calculate year-by-year financials
     const financialProjection = calculateYearByYearFinancials(
-        scenario,
+        projectedScenario,
         timeframe,
         annualRaise,
         otherExpenses,
@@ -942,7 +2587,7 @@ function handleUpdateAnalysis() {
 
     // Calculate buy vs rent comparison
     const rentComparison = calculateBuyVsRent(
-        scenario,
+        projectedScenario,
         monthlyRent,
         rentIncrease,
         timeframe,
@@ -954,11 +2599,614 @@ function handleUpdateAnalysis() {
         appreciationRate
     );
 
+    // Simulate market paths around the fixed assumptions, if selected
+    const simulation = getSimulationFromForm();
+    const run = ++appState.simulationRuns.analysis;
+    let simulationResults = null;
+    try {
+        if (simulation) {
+            simulationResults = await simulateBuyVsRent(
+                projectedScenario, monthlyRent, rentIncrease, timeframe, annualRaise, otherExpenses, savingsRate, lifeEvents, incomeInfo.investmentReturn, appreciationRate, simulation,
+                share => {
+                    if (run === appState.simulationRuns.analysis) showSimulationProgress('update-analysis-btn', share);
+                }
+            );
+        }
+    } finally {
+        if (run === appState.simulationRuns.analysis) clearSimulationProgress('update-analysis-btn');
+    }
+    if (run !== appState.simulationRuns.analysis) return;
+
+    // Restate projections in today's dollars for display if selected
+    const inflationRate = getDisplayInflationRate();
+    const displayProjection = {
+        yearlyData: adjustForInflation(financialProjection.yearlyData, PROJECTION_DOLLAR_FIELDS, inflationRate),
+        equityData: adjustForInflation(financialProjection.equityData, EQUITY_DOLLAR_FIELDS, inflationRate)
+    };
+    const displayRentComparison = {
+        buy: adjustForInflation(rentComparison.buy, PROJECTION_DOLLAR_FIELDS, inflationRate),
+        rent: adjustForInflation(rentComparison.rent, PROJECTION_DOLLAR_FIELDS, inflationRate)
+    };
+
+    const displayBands = simulationResults ? adjustBandsForInflation(simulationResults.bands, inflationRate) : null;
+
     // Render all charts
-    renderCashFlowChart(financialProjection, timeframe);
-    renderNetWorthChart(financialProjection, timeframe);
-    renderRentComparisonChart(rentComparison, timeframe);
-    renderEquityChart(financialProjection.equityData);
+    renderCashFlowChart(displayProjection, timeframe);
+    updateCapexNote(displayProjection.yearlyData);
+    renderNetWorthChart(displayProjection, timeframe, displayBands ? displayBands.buy : null);
+    renderRentComparisonChart(displayRentComparison, timeframe, displayBands);
+    renderEquityChart(displayProjection.equityData);
+    displayHomeownerTaxResults(displayProjection.yearlyData);
+    displaySimulationResults(simulationResults, displayBands, timeframe);
+
+    // Which assumption moves the outcome most
+    const variationPercent = parseFloat(document.getElementById('sensitivity-variation').value) || 20;
+    appState.sensitivity = calculateSensitivityAnalysis(projectedScenario, {
+        initialRent: monthlyRent,
+        rentIncrease: rentIncrease,
+        years: timeframe,
+        annualRaise: annualRaise,
+        baseExpenses: otherExpenses,
+        savingsRate: savingsRate,
+        lifeEvents: lifeEvents,
+        investmentReturn: incomeInfo.investmentReturn,
+        appreciationRate: appreciationRate
+    }, variationPercent);
+    renderSensitivityResults();
+    updatePMIDropOffNote(projectedScenario, appreciationRate);
+
+    if (refinance) {
+        const currentLoanProjection = calculateYearByYearFinancials(
+            scenario,
+            timeframe,
+            annualRaise,
+            otherExpenses,
+            savingsRate,
+            lifeEvents,
+            incomeInfo.investmentReturn,
+            appreciationRate
+        );
+        displayRefinanceResults(scenario, refinance, financialProjection, currentLoanProjection, appreciationRate);
+    } else {
+        document.getElementById('refinance-results').style.display = 'none';
+    }
+}
+
+/**
+ * Show refinance inputs only when a refinance is planned
+ */
+function updateRefinanceOptionsVisibility() {
+    const isRefinance = document.getElementById('refinance-mode').value === 'refinance';
+    document.getElementById('refinance-options').style.display = isRefinance ? 'grid' : 'none';
+}
+
+/**
+ * Get refinance plan from the Analysis form
+ * @returns {Object|null} {month, rate, termYears, closingCosts, cashOut, financeClosingCosts} or null
+ */
+function getRefinanceFromForm() {
+    if (document.getElementById('refinance-mode').value !== 'refinance') {
+        return null;
+    }
+
+    return {
+        month: parseInt(document.getElementById('refinance-month').value) || 36,
+        rate: parseFloat(document.getElementById('refinance-rate').value) || 0,
+        termYears: parseInt(document.getElementById('refinance-term').value) || 30,
+        closingCosts: parseFloat(document.getElementById('refinance-closing-costs').value) || 0,
+        cashOut: parseFloat(document.getElementById('refinance-cash-out').value) || 0,
+        financeClosingCosts: document.getElementById('refinance-costs-paid').value === 'financed'
+    };
+}
+
+/**
+ * Display the federal tax saved by itemizing homeownership deductions over the projection
+ */
+function displayHomeownerTaxResults(yearlyData) {
+    const itemizedYears = yearlyData.filter(row => row.itemizes);
+    const totalSavings = yearlyData.reduce((sum, row) => sum + row.homeTaxSavings, 0);
+
+    document.getElementById('home-tax-first-year').textContent = formatCurrency(yearlyData[0]?.homeTaxSavings || 0);
+    document.getElementById('home-tax-first-year-detail').textContent = yearlyData[0]?.itemizes
+        ? 'Itemizing beats the standard deduction'
+        : 'The standard deduction is larger';
+    document.getElementById('home-tax-total').textContent = formatCurrency(totalSavings);
+    document.getElementById('home-tax-total-detail').textContent = `Over ${yearlyData.length} years`;
+    document.getElementById('home-tax-years').textContent = `${itemizedYears.length} of ${yearlyData.length}`;
+    document.getElementById('home-tax-years-detail').textContent = itemizedYears.length > 0
+        ? `Last itemized year: ${itemizedYears[itemizedYears.length - 1].year}`
+        : 'Interest and SALT never exceed the standard deduction';
+}
+
+/**
+ * Display refinance break-even, payment change, interest difference and net worth effect
+ */
+function displayRefinanceResults(scenario, refinance, refinancedProjection, currentLoanProjection, appreciationRate) {
+    const analysis = calculateRefinanceAnalysis(
+        scenario.calculations.loanAmount,
+        getNoteRate(scenario.propertyInfo),
+        scenario.propertyInfo.loanTerm,
+        getLoanOptions(scenario.propertyInfo, appreciationRate),
+        refinance
+    );
+
+    document.getElementById('refinance-results').style.display = 'block';
+
+    if (!analysis) {
+        document.getElementById('refinance-break-even').textContent = '-';
+        document.getElementById('refinance-break-even-detail').textContent = `The loan is paid off before month ${refinance.month}`;
+        ['refinance-payment-change', 'refinance-interest-diff', 'refinance-networth-diff'].forEach(id => {
+            document.getElementById(id).textContent = '-';
+        });
+        ['refinance-payment-detail', 'refinance-interest-detail', 'refinance-networth-detail'].forEach(id => {
+            document.getElementById(id).textContent = '';
+        });
+        return;
+    }
+
+    document.getElementById('refinance-break-even').textContent = analysis.breakEvenMonth
+        ? `Month ${analysis.breakEvenMonth}`
+        : 'Never';
+    document.getElementById('refinance-break-even-detail').textContent = analysis.breakEvenMonth
+        ? `${formatLoanDuration(analysis.breakEvenMonth - analysis.refinanceMonth)} after refinancing ${formatCurrency(analysis.currentBalance)}`
+        : 'Costs and added balance are never recovered';
+
+    const paymentChange = analysis.newPayment - analysis.oldPayment;
+    document.getElementById('refinance-payment-change').textContent =
+        `${paymentChange > 0 ? '+' : ''}${formatCurrency(paymentChange)}`;
+    document.getElementById('refinance-payment-detail').textContent =
+        `P&I ${formatCurrency(analysis.oldPayment)} → ${formatCurrency(analysis.newPayment)} on ${formatCurrency(analysis.newLoanAmount)}`;
+
+    document.getElementById('refinance-interest-diff').textContent =
+        `${analysis.lifetimeInterestDifference > 0 ? '+' : ''}${formatCurrency(analysis.lifetimeInterestDifference)}`;
+    document.getElementById('refinance-interest-detail').textContent =
+        `${formatCurrency(analysis.refinancedInterest)} vs ${formatCurrency(analysis.remainingInterest)} remaining on the current loan`;
+
+    const finalYear = refinancedProjection.yearlyData.length;
+    const inflationRate = getDisplayInflationRate();
+    const netWorthDifference = finalYear > 0
+        ? toRealDollars(
+            refinancedProjection.yearlyData[finalYear - 1].netWorth - currentLoanProjection.yearlyData[finalYear - 1].netWorth,
+            inflationRate,
+            finalYear
+        )
+        : 0;
+    document.getElementById('refinance-networth-diff').textContent =
+        `${netWorthDifference > 0 ? '+' : ''}${formatCurrency(netWorthDifference)}`;
+    document.getElementById('refinance-networth-detail').textContent =
+        `Year ${finalYear} net worth vs keeping the current loan${inflationRate ? " (today's dollars)" : ''}`;
+}
+
+/**
+ * List scheduled component replacements under the Analysis cash flow chart
+ */
+function updateCapexNote(yearlyData) {
+    const replacements = yearlyData.filter(row => row.capitalExpense > 0);
+    document.getElementById('capex-note').textContent = replacements.length > 0
+        ? 'Replacements: ' + replacements.map(row => `${row.capitalItems.join(' + ')} in year ${row.year} (${formatCurrency(row.capitalExpense)})`).join(', ')
+        : 'No component replacements in this timeframe';
+}
+
+/**
+ * Show when PMI drops off under the Analysis equity chart
+ */
+function updatePMIDropOffNote(scenario, appreciationRate) {
+    const note = document.getElementById('pmi-dropoff-note');
+    const schedule = generateAmortizationSchedule(
+        scenario.calculations.loanAmount,
+        getNoteRate(scenario.propertyInfo),
+        scenario.propertyInfo.loanTerm,
+        getLoanOptions(scenario.propertyInfo, appreciationRate)
+    );
+    const dropOffMonth = getPMIDropOffMonth(schedule);
+    const premiumLabel = getPremiumLabel(scenario.propertyInfo);
+
+    if (dropOffMonth && getLoanProgramCosts(scenario.propertyInfo).lifeOfLoan) {
+        note.textContent = `${premiumLabel} is charged for the life of the loan (${formatCurrency(scenario.calculations.pmi)}/month)`;
+        return;
+    }
+
+    note.textContent = dropOffMonth
+        ? `${premiumLabel} drops off in month ${dropOffMonth} (year ${Math.ceil(dropOffMonth / 12)}), lowering the monthly payment by ${formatCurrency(scenario.calculations.pmi)}`
+        : `No ${premiumLabel} on this loan`;
+}
+
+/**
+ * Show simulation inputs only when simulation mode is on
+ */
+function updateSimulationOptionsVisibility() {
+    const isSimulation = document.getElementById('simulation-mode').value === 'monte-carlo';
+    document.getElementById('simulation-options').style.display = isSimulation ? 'grid' : 'none';
+}
+
+/**
+ * Get selling costs and the net worth basis from the Analysis form
+ * @returns {Object} {commissionRate, concessionsRate, transferTaxRate, capitalGainsRate, netWorthBasis}
+ */
+function getSaleFromForm() {
+    const readNumber = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) ? fallback : value;
+    };
+
+    return {
+        commissionRate: readNumber('sale-commission', DEFAULT_SALE_COSTS.commissionRate),
+        concessionsRate: readNumber('sale-concessions', DEFAULT_SALE_COSTS.concessionsRate),
+        transferTaxRate: readNumber('sale-transfer-tax', DEFAULT_SALE_COSTS.transferTaxRate),
+        capitalGainsRate: readNumber('capital-gains-rate', DEFAULT_SALE_COSTS.capitalGainsRate),
+        netWorthBasis: document.getElementById('networth-basis').value
+    };
+}
+
+/**
+ * Add net proceeds if sold in each year to a scenario's equity rows
+ */
+function addScenarioSaleProceeds(scenario, equityData, sale) {
+    return addSaleProceeds(equityData, scenario.propertyInfo.purchasePrice, sale, getTaxProfile(scenario.incomeInfo).filingStatus);
+}
+
+/**
+ * Get Monte Carlo assumptions from the Analysis form
+ * @returns {Object|null} {paths, distribution, returnVolatility, appreciationVolatility, correlation, indexVolatility, seed} or null
+ */
+function getSimulationFromForm() {
+    if (document.getElementById('simulation-mode').value !== 'monte-carlo') {
+        return null;
+    }
+
+    const readNumber = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) ? fallback : value;
+    };
+
+    return {
+        paths: Math.min(Math.max(parseInt(document.getElementById('simulation-paths').value) || DEFAULT_SIMULATION.paths, 100), 10000),
+        distribution: document.getElementById('simulation-distribution').value,
+        returnVolatility: readNumber('return-volatility', DEFAULT_SIMULATION.returnVolatility),
+        appreciationVolatility: readNumber('appreciation-volatility', DEFAULT_SIMULATION.appreciationVolatility),
+        correlation: readNumber('return-appreciation-correlation', DEFAULT_SIMULATION.correlation),
+        indexVolatility: readNumber('index-volatility', DEFAULT_SIMULATION.indexVolatility),
+        seed: parseInt(document.getElementById('simulation-seed').value) || DEFAULT_SIMULATION.seed
+    };
+}
+
+/**
+ * Apply a simulated market path's ARM index moves to a scenario
+ * Index shocks accumulate on top of the scenario's projected index; fixed-rate loans are unchanged
+ */
+function getSimulatedScenario(scenario, marketPath) {
+    const propertyInfo = scenario.propertyInfo;
+    if (propertyInfo.loanType !== 'arm' || !propertyInfo.arm) {
+        return scenario;
+    }
+
+    let cumulativeShock = 0;
+    const indexPath = marketPath.indexShocks.map((shock, index) => {
+        cumulativeShock += shock;
+        return Math.max(0, getArmIndexForMonth(index * 12 + 1, propertyInfo.arm) + cumulativeShock);
+    });
+
+    return { ...scenario, propertyInfo: { ...propertyInfo, arm: { ...propertyInfo.arm, indexPath } } };
+}
+
+/**
+ * Simulate buy vs rent net worth over random market paths
+ * Reuses the last simulation while its inputs are unchanged
+ * @returns {Promise<Object>} runMonteCarloSimulation result with buy and rent series, plus probabilityBuyWins
+ */
+function simulateBuyVsRent(scenario, initialRent, rentIncrease, years, annualRaise, baseExpenses, savingsRate, lifeEvents, investmentReturn, appreciationRate, simulation, onProgress = null) {
+    const projectionSettings = getProjectionSettingsFromForm();
+    const inputs = [
+        scenario, initialRent, rentIncrease, years, annualRaise, baseExpenses, savingsRate, lifeEvents,
+        investmentReturn, appreciationRate, simulation, projectionSettings, appState.incomeAdjustments
+    ];
+
+    return getCachedSimulation('analysis', inputs, async () => {
+        const results = await runMonteCarloSimulation(marketPath => {
+            const comparison = calculateBuyVsRent(
+                getSimulatedScenario(scenario, marketPath),
+                initialRent,
+                rentIncrease,
+                years,
+                annualRaise,
+                baseExpenses,
+                savingsRate,
+                lifeEvents,
+                marketPath.investmentReturns,
+                marketPath.appreciationRates,
+                projectionSettings
+            );
+            return {
+                buy: comparison.buy.map(d => d.netWorth),
+                rent: comparison.rent.map(d => d.netWorth)
+            };
+        }, years, { ...simulation, investmentReturn: investmentReturn, appreciationRate: appreciationRate }, onProgress);
+
+        return {
+            ...results,
+            probabilityBuyWins: calculateProbabilityGreater(results.finalValues.buy, results.finalValues.rent)
+        };
+    });
+}
+
+/**
+ * Run a view's Monte Carlo simulation, or reuse its last one while the inputs are unchanged,
+ * so display-only changes (dollar mode, sensitivity variation) just re-format the result
+ * @param {string} view - 'analysis' or 'comparison'
+ * @param {Array} inputs - Everything the simulation depends on
+ * @param {Function} simulate - Runs the simulation; returns a Promise of its result
+ * @returns {Promise<Object>} Simulation result (nominal dollars)
+ */
+function getCachedSimulation(view, inputs, simulate) {
+    const key = JSON.stringify(inputs);
+    const cached = appState.simulations[view];
+    if (cached && cached.key === key) {
+        return cached.results;
+    }
+
+    // Cache the pending run so an update started meanwhile with the same inputs waits for it
+    const results = simulate();
+    appState.simulations[view] = { key: key, results: results };
+    results.catch(() => {
+        if (appState.simulations[view] && appState.simulations[view].results === results) {
+            delete appState.simulations[view];
+        }
+    });
+    return results;
+}
+
+/**
+ * Show Monte Carlo progress on the button that started the run
+ */
+function showSimulationProgress(buttonId, share) {
+    const button = document.getElementById(buttonId);
+    if (!button.dataset.label) {
+        button.dataset.label = button.textContent;
+    }
+    button.disabled = true;
+    button.textContent = `Simulating... ${Math.round(share * 100)}%`;
+}
+
+/**
+ * Restore a button after its Monte Carlo run
+ */
+function clearSimulationProgress(buttonId) {
+    const button = document.getElementById(buttonId);
+    if (button.dataset.label) {
+        button.textContent = button.dataset.label;
+        delete button.dataset.label;
+    }
+    button.disabled = false;
+}
+
+/**
+ * Restate simulated percentile bands in today's dollars (no change when inflationRate is 0)
+ */
+function adjustBandsForInflation(bands, inflationRate) {
+    if (!inflationRate) return bands;
+
+    const adjusted = {};
+    Object.keys(bands).forEach(name => {
+        adjusted[name] = {};
+        Object.keys(bands[name]).forEach(percentile => {
+            adjusted[name][percentile] = bands[name][percentile].map((value, index) => toRealDollars(value, inflationRate, index + 1));
+        });
+    });
+    return adjusted;
+}
+
+/**
+ * Format the final-year P10 - P90 range of a simulated series
+ */
+function formatSimulationRange(band, years) {
+    return `${formatCurrency(band.p10[years - 1])} - ${formatCurrency(band.p90[years - 1])}`;
+}
+
+/**
+ * Display simulated buy vs rent outcomes in the Analysis tab
+ */
+function displaySimulationResults(simulationResults, bands, timeframe) {
+    const section = document.getElementById('simulation-results');
+    if (!simulationResults) {
+        section.style.display = 'none';
+        return;
+    }
+
+    document.getElementById('simulation-buy-range').textContent = formatSimulationRange(bands.buy, timeframe);
+    document.getElementById('simulation-buy-median').textContent = `Median ${formatCurrency(bands.buy.p50[timeframe - 1])}`;
+    document.getElementById('simulation-rent-range').textContent = formatSimulationRange(bands.rent, timeframe);
+    document.getElementById('simulation-rent-median').textContent = `Median ${formatCurrency(bands.rent.p50[timeframe - 1])}`;
+    document.getElementById('simulation-buy-wins').textContent = formatPercent(simulationResults.probabilityBuyWins * 100, 0);
+    document.getElementById('simulation-buy-wins-detail').textContent =
+        `Buying ends ahead in year ${timeframe} across ${simulationResults.paths.toLocaleString()} simulated market paths`;
+    section.style.display = 'block';
+}
+
+/**
+ * Inputs varied by the sensitivity analysis
+ * Each apply() returns a copy of the scenario and assumptions with the input set to value
+ */
+const SENSITIVITY_INPUTS = [
+    {
+        key: 'interestRate',
+        label: 'Interest Rate',
+        format: value => formatPercent(value),
+        get: scenario => scenario.propertyInfo.interestRate,
+        apply: (scenario, assumptions, value) => ({
+            scenario: { ...scenario, propertyInfo: { ...scenario.propertyInfo, interestRate: value } },
+            assumptions
+        })
+    },
+    {
+        key: 'appreciationRate',
+        label: 'Home Appreciation',
+        format: value => formatPercent(value),
+        get: (scenario, assumptions) => assumptions.appreciationRate,
+        apply: (scenario, assumptions, value) => ({ scenario, assumptions: { ...assumptions, appreciationRate: value } })
+    },
+    {
+        key: 'investmentReturn',
+        label: 'Investment Return',
+        format: value => formatPercent(value),
+        get: (scenario, assumptions) => assumptions.investmentReturn,
+        apply: (scenario, assumptions, value) => ({ scenario, assumptions: { ...assumptions, investmentReturn: value } })
+    },
+    {
+        key: 'rentIncrease',
+        label: 'Rent Increase',
+        format: value => formatPercent(value),
+        get: (scenario, assumptions) => assumptions.rentIncrease,
+        apply: (scenario, assumptions, value) => ({ scenario, assumptions: { ...assumptions, rentIncrease: value } })
+    },
+    {
+        key: 'annualRaise',
+        label: 'Annual Raise',
+        format: value => formatPercent(value),
+        get: (scenario, assumptions) => assumptions.annualRaise,
+        apply: (scenario, assumptions, value) => ({ scenario, assumptions: { ...assumptions, annualRaise: value } })
+    },
+    {
+        key: 'savingsRate',
+        label: 'Savings Rate',
+        format: value => formatPercent(value, 0),
+        get: (scenario, assumptions) => assumptions.savingsRate,
+        apply: (scenario, assumptions, value) => ({ scenario, assumptions: { ...assumptions, savingsRate: Math.min(value, 100) } })
+    },
+    {
+        key: 'propertyTax',
+        label: 'Property Tax',
+        format: value => `${formatCurrency(value)}/mo`,
+        get: scenario => scenario.propertyInfo.propertyTax,
+        apply: (scenario, assumptions, value) => ({ scenario: withMonthlyCost(scenario, 'propertyTax', value), assumptions })
+    },
+    {
+        key: 'maintenance',
+        label: 'Maintenance',
+        format: value => `${formatCurrency(value)}/mo`,
+        get: scenario => scenario.propertyInfo.maintenance,
+        apply: (scenario, assumptions, value) => ({ scenario: withMonthlyCost(scenario, 'maintenance', value), assumptions })
+    }
+];
+
+/**
+ * Copy a scenario with a monthly cost field changed, carrying the change into the total monthly cost
+ */
+function withMonthlyCost(scenario, field, value) {
+    const current = scenario.propertyInfo[field] || 0;
+    const change = value - current;
+
+    // Costs set as a percentage of home value scale their rate with the amount
+    const rateField = { insurance: 'insuranceRate', maintenance: 'maintenanceRate' }[field];
+    const rate = rateField ? scenario.propertyInfo[rateField] : null;
+    const scaledRate = rate !== null && rate !== undefined && current > 0 ? { [rateField]: rate * value / current } : {};
+
+    return {
+        ...scenario,
+        propertyInfo: { ...scenario.propertyInfo, [field]: value, ...scaledRate },
+        calculations: { ...scenario.calculations, totalMonthlyCost: scenario.calculations.totalMonthlyCost + change }
+    };
+}
+
+/**
+ * Vary each sensitivity input down and up and measure the effect on the final year
+ * @param {Object} scenario - Scenario to analyze
+ * @param {Object} assumptions - calculateBuyVsRent inputs {initialRent, rentIncrease, years, annualRaise,
+ *     baseExpenses, savingsRate, lifeEvents, investmentReturn, appreciationRate}
+ * @param {number} variationPercent - Change applied to each input, relative to its current value
+ * @returns {Object} {base, variationPercent, years, inputs} with inputs sorted by their net worth swing;
+ *     each input has low/high {value, netWorth, gap, netWorthChange, gapChange}
+ */
+function calculateSensitivityAnalysis(scenario, assumptions, variationPercent) {
+    const projectionSettings = getProjectionSettingsFromForm();
+    const measure = (testScenario, testAssumptions) => {
+        const comparison = calculateBuyVsRent(
+            testScenario,
+            testAssumptions.initialRent,
+            testAssumptions.rentIncrease,
+            testAssumptions.years,
+            testAssumptions.annualRaise,
+            testAssumptions.baseExpenses,
+            testAssumptions.savingsRate,
+            testAssumptions.lifeEvents,
+            testAssumptions.investmentReturn,
+            testAssumptions.appreciationRate,
+            projectionSettings
+        );
+        const finalBuy = comparison.buy[comparison.buy.length - 1];
+        const finalRent = comparison.rent[comparison.rent.length - 1];
+        return {
+            netWorth: finalBuy ? finalBuy.netWorth : 0,
+            gap: finalBuy && finalRent ? finalBuy.netWorth - finalRent.netWorth : 0
+        };
+    };
+
+    const base = measure(scenario, assumptions);
+
+    const inputs = SENSITIVITY_INPUTS.map(input => {
+        const baseValue = input.get(scenario, assumptions) || 0;
+        const runAt = value => {
+            const varied = input.apply(scenario, assumptions, value);
+            const result = measure(varied.scenario, varied.assumptions);
+            return {
+                value: value,
+                netWorth: result.netWorth,
+                gap: result.gap,
+                netWorthChange: result.netWorth - base.netWorth,
+                gapChange: result.gap - base.gap
+            };
+        };
+
+        const low = runAt(Math.max(0, baseValue * (1 - variationPercent / 100)));
+        const high = runAt(baseValue * (1 + variationPercent / 100));
+
+        return {
+            key: input.key,
+            label: input.label,
+            baseValue: baseValue,
+            low: low,
+            high: high,
+            netWorthSwing: Math.abs(high.netWorthChange - low.netWorthChange),
+            gapSwing: Math.abs(high.gapChange - low.gapChange)
+        };
+    });
+
+    inputs.sort((a, b) => b.netWorthSwing - a.netWorthSwing);
+
+    return {
+        base: base,
+        variationPercent: variationPercent,
+        years: assumptions.years,
+        inputs: inputs
+    };
+}
+
+/**
+ * Render the sensitivity tornado chart for the selected metric
+ */
+function renderSensitivityResults() {
+    const sensitivity = appState.sensitivity;
+    if (!sensitivity) return;
+
+    const metric = document.getElementById('sensitivity-metric').value;
+    const changeField = metric === 'gap' ? 'gapChange' : 'netWorthChange';
+    const swingField = metric === 'gap' ? 'gapSwing' : 'netWorthSwing';
+    const inflationRate = getDisplayInflationRate();
+    const toDisplay = amount => toRealDollars(amount, inflationRate, sensitivity.years);
+
+    const inputs = [...sensitivity.inputs].sort((a, b) => b[swingField] - a[swingField]);
+    const formatters = Object.fromEntries(SENSITIVITY_INPUTS.map(input => [input.key, input.format]));
+
+    renderTornadoChart(inputs.map(input => ({
+        label: `${input.label} (${formatters[input.key](input.low.value)} - ${formatters[input.key](input.high.value)})`,
+        low: toDisplay(input.low[changeField]),
+        high: toDisplay(input.high[changeField])
+    })), metric === 'gap' ? 'Change in Buy vs Rent Gap' : 'Change in Final Net Worth');
+
+    const baseValue = toDisplay(metric === 'gap' ? sensitivity.base.gap : sensitivity.base.netWorth);
+    const top = inputs[0];
+    document.getElementById('sensitivity-note').textContent = top && top[swingField] > 0
+        ? `Year ${sensitivity.years} ${metric === 'gap' ? 'buy vs rent gap' : 'net worth'} of ${formatCurrency(baseValue)} is most sensitive to ${top.label.toLowerCase()}: ±${sensitivity.variationPercent}% moves it across a ${formatCurrency(toDisplay(top[swingField]))} range`
+        : 'No input changes the result at this variation';
 }
 
 /**
@@ -1000,6 +3248,7 @@ function displayScenarioSummary(scenarioLetter, scenarioId) {
     summaryDiv.innerHTML = `
         <p><strong>Price:</strong> ${formatCurrency(scenario.propertyInfo.purchasePrice)}</p>
         <p><strong>Down Payment:</strong> ${formatCurrency(scenario.propertyInfo.downPaymentAmount)} (${scenario.propertyInfo.downPaymentPercent}%)</p>
+        <p><strong>Loan:</strong> ${getLoanLabel(scenario.propertyInfo)} at ${formatPercent(getNoteRate(scenario.propertyInfo))}</p>
         <p><strong>Monthly Payment:</strong> ${formatCurrency(scenario.calculations.totalPayment)}</p>
         <p><strong>Total Monthly Cost:</strong> ${formatCurrency(scenario.calculations.totalMonthlyCost)}</p>
         <p><strong>Annual Income:</strong> ${formatCurrency(scenario.incomeInfo.annualIncome)}</p>
@@ -1009,7 +3258,7 @@ function displayScenarioSummary(scenarioLetter, scenarioId) {
 /**
  * Handle compare houses button click - COMPREHENSIVE VERSION
  */
-function handleCompareHouses() {
+async function handleCompareHouses() {
     const scenarioAId = document.getElementById('scenario-a-select').value;
     const scenarioBId = document.getElementById('scenario-b-select').value;
 
@@ -1026,127 +3275,254 @@ function handleCompareHouses() {
         return;
     }
 
-    // Get additional inputs
-    const monthlyOtherExpenses = parseFloat(document.getElementById('monthly-other-expenses').value) || 0;
-    const savingsRate = parseFloat(document.getElementById('savings-rate').value) || 50;
-    const currentAge = parseInt(document.getElementById('current-age').value) || 30;
-    const retirementAge = parseInt(document.getElementById('retirement-age').value) || 65;
-    const savingsMilestone = parseFloat(document.getElementById('savings-milestone').value) || 500000;
-    const investmentReturn = parseFloat(document.getElementById('investment-return').value) || 8.0;
-    const appreciationRate = parseFloat(document.getElementById('appreciation-rate').value) || 3.0;
-    const timeframe = parseInt(document.getElementById('timeframe').value) || 30;
-
     // Perform comprehensive comparison
-    const comparison = runComprehensiveComparison(
-        scenarioA,
-        scenarioB,
-        monthlyOtherExpenses,
-        savingsRate,
-        currentAge,
-        retirementAge,
-        savingsMilestone,
-        investmentReturn,
-        appreciationRate,
-        timeframe
-    );
+    const settings = getHouseComparisonSettingsFromForm();
+    const run = ++appState.simulationRuns.comparison;
+    let comparison;
+    try {
+        comparison = await compareHousesWithSettings(
+            scenarioA,
+            scenarioB,
+            settings,
+            share => {
+                if (run === appState.simulationRuns.comparison) showSimulationProgress('compare-houses-btn', share);
+            }
+        );
+    } finally {
+        if (run === appState.simulationRuns.comparison) clearSimulationProgress('compare-houses-btn');
+    }
+    if (run !== appState.simulationRuns.comparison) return;
 
     // Display results
-    displayComparisonResults(comparison, timeframe);
+    appState.houseComparison = { scenarioA, scenarioB, settings, comparison };
+    displayComparisonResults(comparison, settings.timeframe);
 
     // Show results section
     document.getElementById('comparison-results-section').style.display = 'block';
 }
 
+/**
+ * Get the Comprehensive House Comparison inputs
+ */
+function getHouseComparisonSettingsFromForm() {
+    return {
+        otherExpenses: parseFloat(document.getElementById('monthly-other-expenses').value) || 0,
+        savingsRate: parseFloat(document.getElementById('savings-rate').value) || 50,
+        currentAge: parseInt(document.getElementById('current-age').value) || 30,
+        retirementAge: parseInt(document.getElementById('retirement-age').value) || 65,
+        savingsMilestone: parseFloat(document.getElementById('savings-milestone').value) || 500000,
+        investmentReturn: parseFloat(document.getElementById('investment-return').value) || 8.0,
+        appreciationRate: parseFloat(document.getElementById('appreciation-rate').value) || 3.0,
+        timeframe: parseInt(document.getElementById('timeframe').value) || 30
+    };
+}
+
+/**
+ * Run the comprehensive comparison with the given inputs and the current dollar and simulation settings
+ * @returns {Promise<Object>} runComprehensiveComparison result
+ */
+function compareHousesWithSettings(scenarioA, scenarioB, settings, onProgress = null) {
+    return runComprehensiveComparison(
+        scenarioA,
+        scenarioB,
+        settings.otherExpenses,
+        settings.savingsRate,
+        settings.currentAge,
+        settings.retirementAge,
+        settings.savingsMilestone,
+        settings.investmentReturn,
+        settings.appreciationRate,
+        settings.timeframe,
+        getDisplayInflationRate(),
+        getSimulationFromForm(),
+        onProgress
+    );
+}
+
 /**
  * Run comprehensive comparison between two scenarios
+ * The simulation, if any, is reused while its inputs are unchanged
+ * @returns {Promise<Object>} {scenarioA, scenarioB, differences, winner, inflationRate, simulation}
  */
-function runComprehensiveComparison(scenarioA, scenarioB, otherExpenses, savingsRate, currentAge, retirementAge, savingsMilestone, investmentReturn, appreciationRate, timeframe) {
+async function runComprehensiveComparison(scenarioA, scenarioB, otherExpenses, savingsRate, currentAge, retirementAge, savingsMilestone, investmentReturn, appreciationRate, timeframe, inflationRate = 0, simulation = null, onProgress = null) {
+    const projectionSettings = getProjectionSettingsFromForm();
+
     // Calculate for Scenario A
-    const resultsA = calculateScenarioFinancials(scenarioA, otherExpenses, savingsRate, currentAge, retirementAge, savingsMilestone, investmentReturn, appreciationRate, timeframe);
+    const resultsA = calculateScenarioFinancials(scenarioA, otherExpenses, savingsRate, currentAge, retirementAge, savingsMilestone, investmentReturn, appreciationRate, timeframe, projectionSettings);
 
     // Calculate for Scenario B
-    const resultsB = calculateScenarioFinancials(scenarioB, otherExpenses, savingsRate, currentAge, retirementAge, savingsMilestone, investmentReturn, appreciationRate, timeframe);
+    const resultsB = calculateScenarioFinancials(scenarioB, otherExpenses, savingsRate, currentAge, retirementAge, savingsMilestone, investmentReturn, appreciationRate, timeframe, projectionSettings);
+
+    // Restate projections in today's dollars for display (no change when inflationRate is 0)
+    const displayA = restateScenarioFinancials(resultsA, inflationRate, timeframe, retirementAge - currentAge);
+    const displayB = restateScenarioFinancials(resultsB, inflationRate, timeframe, retirementAge - currentAge);
+
+    // Simulate both scenarios on the same market paths, if selected
+    let simulationResults = null;
+    if (simulation) {
+        const inputs = [
+            scenarioA, scenarioB, otherExpenses, savingsRate, currentAge, retirementAge, savingsMilestone,
+            investmentReturn, appreciationRate, timeframe, simulation, projectionSettings
+        ];
+        const simulated = await getCachedSimulation('comparison', inputs, () => runMonteCarloSimulation(marketPath => ({
+            A: calculateScenarioFinancials(getSimulatedScenario(scenarioA, marketPath), otherExpenses, savingsRate, currentAge, retirementAge, savingsMilestone, marketPath.investmentReturns, marketPath.appreciationRates, timeframe, projectionSettings)
+                .netWorthData.map(d => d.totalNetWorth),
+            B: calculateScenarioFinancials(getSimulatedScenario(scenarioB, marketPath), otherExpenses, savingsRate, currentAge, retirementAge, savingsMilestone, marketPath.investmentReturns, marketPath.appreciationRates, timeframe, projectionSettings)
+                .netWorthData.map(d => d.totalNetWorth)
+        }), timeframe, { ...simulation, investmentReturn: investmentReturn, appreciationRate: appreciationRate }, onProgress));
+
+        simulationResults = {
+            paths: simulated.paths,
+            bands: adjustBandsForInflation(simulated.bands, inflationRate),
+            probabilityAWins: calculateProbabilityGreater(simulated.finalValues.A, simulated.finalValues.B)
+        };
+    }
 
     // Compare results
     return {
-        scenarioA: resultsA,
-        scenarioB: resultsB,
-        differences: calculateDifferences(resultsA, resultsB),
-        winner: determineWinner(resultsA, resultsB, timeframe)
+        scenarioA: displayA,
+        scenarioB: displayB,
+        differences: calculateDifferences(displayA, displayB),
+        winner: determineWinner(resultsA, resultsB, timeframe, inflationRate),
+        inflationRate: inflationRate,
+        simulation: simulationResults
+    };
+}
+
+/**
+ * Restate a scenario's projected net worth and retirement portfolio in today's dollars
+ */
+function restateScenarioFinancials(results, inflationRate, timeframe, yearsToRetirement) {
+    if (!inflationRate) return results;
+
+    const netWorthData = adjustForInflation(results.netWorthData, ['equity', 'portfolio', 'portfolioAfterTax', 'netProceeds', 'liquidatedNetWorth', 'totalNetWorth'], inflationRate);
+    return {
+        ...results,
+        equityData: adjustForInflation(results.equityData, EQUITY_DOLLAR_FIELDS, inflationRate),
+        portfolioData: adjustForInflation(results.portfolioData, INVESTMENT_DOLLAR_FIELDS, inflationRate),
+        netWorthData: netWorthData,
+        finalNetWorth: netWorthData[timeframe - 1]?.totalNetWorth || 0,
+        retirementPortfolio: toRealDollars(results.retirementPortfolio, inflationRate, Math.max(0, yearsToRetirement))
     };
 }
 
 /**
  * Calculate comprehensive financials for a scenario
+ * investmentReturn and appreciationRate may be fixed rates or per-year paths;
+ * projectionSettings is a getProjectionSettingsFromForm result
  */
-function calculateScenarioFinancials(scenario, otherExpenses, savingsRate, currentAge, retirementAge, savingsMilestone, investmentReturn, appreciationRate, timeframe) {
-    const monthlyIncome = scenario.incomeInfo.annualIncome / 12;
-    const monthlyHousingCost = scenario.calculations.totalMonthlyCost;
+function calculateScenarioFinancials(scenario, otherExpenses, savingsRate, currentAge, retirementAge, savingsMilestone, investmentReturn, appreciationRate, timeframe, projectionSettings = getProjectionSettingsFromForm()) {
+    const { sale, costEscalation, inflationRate } = projectionSettings;
+
+    // Project through retirement if it comes after the timeframe, so payments freed up
+    // after payoff also count toward the retirement portfolio
+    const yearsToRetirement = retirementAge - currentAge;
+    const projectionYears = Math.max(timeframe, yearsToRetirement);
+
+    // Spendable income is take-home pay, with brackets and limits indexed each projection year and
+    // net rent from other units taxed with wages; pre-tax 401(k)/HSA contributions go straight to investments
+    const rentalIncomeByYear = calculateScenarioRentalIncome(scenario, projectionYears, costEscalation).map(rental => rental.netRentalIncome);
+    const taxesByYear = rentalIncomeByYear.map((monthlyRentalIncome, index) =>
+        calculateYearTaxes(scenario.incomeInfo.annualIncome, scenario.incomeInfo, index + 1, inflationRate, monthlyRentalIncome * 12));
+    const taxes = taxesByYear[0];
+    const monthlyIncome = taxes.netIncome / 12;
+    const monthlyPreTaxSavings = taxes.preTaxContributions / 12;
+    const schedule = generateScenarioSchedule(scenario, appreciationRate);
+    const monthlyHousingByYear = calculateMonthlyHousingByYear(scenario, projectionYears, appreciationRate, costEscalation, schedule);
+    const monthlyHousingCost = monthlyHousingByYear[0];
     const monthlyTotalExpenses = monthlyHousingCost + otherExpenses;
-    const monthlyDiscretionary = monthlyIncome - monthlyTotalExpenses;
-    const monthlyToInvestments = monthlyDiscretionary > 0 ? (monthlyDiscretionary * savingsRate) / 100 : 0;
 
-    // Starting portfolio after down payment - CRITICAL FIX
-    const startingPortfolio = Math.max(0, scenario.incomeInfo.currentPortfolio - scenario.propertyInfo.downPaymentAmount);
+    // Federal tax saved each year by itemizing mortgage interest and (escalating) property tax
+    // over that year's indexed standard deduction
+    const housingCosts = calculateHousingCostsByYear(scenario, projectionYears, appreciationRate, costEscalation);
+    const homeTaxSavingsByYear = calculateMortgageInterestByYear(scenario, projectionYears, appreciationRate, schedule)
+        .map((mortgageInterest, index) => calculateYearHomeownerTaxSavings(
+            scenario.incomeInfo.annualIncome,
+            scenario,
+            mortgageInterest,
+            housingCosts[index].propertyTax,
+            index + 1,
+            inflationRate,
+            rentalIncomeByYear[index] * 12
+        ).taxSavings);
+    const livingExpenseRate = costEscalation.livingExpenses;
+    const capex = calculateScenarioCapex(scenario, projectionYears, costEscalation);
+
+    const monthlyDiscretionary = monthlyIncome + homeTaxSavingsByYear[0] / 12 - monthlyTotalExpenses;
+    const monthlyToInvestments = (monthlyDiscretionary > 0 ? (monthlyDiscretionary * savingsRate) / 100 : 0) + monthlyPreTaxSavings;
+
+    // Starting portfolio after cash to close (down payment, closing costs, prepaids) - CRITICAL FIX
+    // Cash to close comes out of the taxable account first
+    const accountSettings = getAccountSettings(scenario.incomeInfo);
+    const startingAccounts = adjustInvestmentAccounts(
+        createInvestmentAccounts(scenario.incomeInfo.currentPortfolio, accountSettings),
+        -getCashToClose(scenario),
+        accountSettings
+    );
+    const startingPortfolio = getInvestmentAccountsTotal(startingAccounts);
 
-    // Calculate equity buildup
-    const equityData = calculateEquityOverTime(
+    // Calculate equity buildup (the home keeps appreciating after payoff) and net proceeds if sold
+    const equityData = addScenarioSaleProceeds(scenario, calculateEquityOverTime(
         scenario.propertyInfo.purchasePrice,
         scenario.calculations.loanAmount,
-        scenario.propertyInfo.interestRate,
-        Math.min(timeframe, scenario.propertyInfo.loanTerm),
-        appreciationRate
-    );
-
-    // Calculate investment portfolio growth
-    const portfolioData = calculateInvestmentGrowth(
-        startingPortfolio > 0 ? startingPortfolio : 0,
-        monthlyToInvestments > 0 ? monthlyToInvestments : 0,
-        investmentReturn,
+        getNoteRate(scenario.propertyInfo),
+        scenario.propertyInfo.loanTerm,
+        appreciationRate,
+        getLoanOptions(scenario.propertyInfo, appreciationRate),
         timeframe
-    );
+    ), sale);
+
+    // Calculate investment portfolio growth, re-deriving contributions as housing cost and take-home
+    // pay change (the full payment goes to savings once the loan is paid off) and rent from other units grows;
+    // component replacements come out of that year's savings
+    const contributionsByYear = monthlyHousingByYear.map((monthlyHousing, index) => {
+        const discretionary = taxesByYear[index].netIncome / 12 + homeTaxSavingsByYear[index] / 12 - monthlyHousing - escalateAmount(otherExpenses, livingExpenseRate, index + 1);
+        return (discretionary > 0 ? (discretionary * savingsRate) / 100 : 0) - capex[index].cost / 12;
+    });
+    const preTaxSavingsByYear = taxesByYear.map(yearTaxes => yearTaxes.preTaxContributions / 12);
+    const projectedPortfolio = calculateAccountGrowth(startingAccounts, contributionsByYear, preTaxSavingsByYear, investmentReturn, projectionYears, accountSettings);
+    const portfolioData = projectedPortfolio.slice(0, timeframe);
 
     // Calculate retirement portfolio (years until retirement)
-    const yearsToRetirement = retirementAge - currentAge;
-    let retirementPortfolio = 0;
-    if (yearsToRetirement > 0 && yearsToRetirement <= timeframe) {
-        retirementPortfolio = portfolioData[yearsToRetirement - 1]?.value || 0;
-    } else if (yearsToRetirement > timeframe) {
-        // Extrapolate
-        const lastValue = portfolioData[portfolioData.length - 1]?.value || 0;
-        const remainingYears = yearsToRetirement - timeframe;
-        retirementPortfolio = calculateInvestmentGrowth(lastValue, monthlyToInvestments, investmentReturn, remainingYears);
-        retirementPortfolio = retirementPortfolio[retirementPortfolio.length - 1]?.value || 0;
-    }
-
-    // Calculate net worth over time
+    const retirementPortfolio = yearsToRetirement > 0 ? projectedPortfolio[yearsToRetirement - 1].value : 0;
+
+    // Calculate net worth over time, ranked on paper equity or on what selling would leave
     const netWorthData = equityData.map((equity, index) => {
-        const portfolio = portfolioData[index] || { value: 0 };
+        const portfolio = portfolioData[index] || { value: 0, afterTaxValue: 0 };
         return {
             year: equity.year,
             equity: equity.equity,
             portfolio: portfolio.value,
-            totalNetWorth: equity.equity + portfolio.value
+            portfolioAfterTax: portfolio.afterTaxValue,
+            netProceeds: equity.netProceeds,
+            liquidatedNetWorth: equity.netProceeds + portfolio.afterTaxValue,
+            totalNetWorth: sale.netWorthBasis === 'liquidated' ? equity.netProceeds + portfolio.afterTaxValue : equity.equity + portfolio.value
         };
     });
 
     // Financial freedom metrics
     const annualExpenses = monthlyTotalExpenses * 12;
     const financialIndependenceNumber = annualExpenses * 25; // 4% rule
-    const yearsToFI = calculateYearsToGoal(startingPortfolio, monthlyToInvestments, investmentReturn, financialIndependenceNumber);
+    const yearsToFI = calculateYearsToGoal(startingPortfolio, monthlyToInvestments, getAnnualizedRate(investmentReturn), financialIndependenceNumber);
 
     // Custom milestone timeline
-    const yearsToMilestone = calculateYearsToGoal(startingPortfolio, monthlyToInvestments, investmentReturn, savingsMilestone);
+    const yearsToMilestone = calculateYearsToGoal(startingPortfolio, monthlyToInvestments, getAnnualizedRate(investmentReturn), savingsMilestone);
 
     return {
         scenario: scenario,
         annualHousingCost: monthlyHousingCost * 12,
+        annualTaxes: taxes.totalTax - homeTaxSavingsByYear[0],
+        annualTaxSavings: homeTaxSavingsByYear[0],
+        totalTaxSavings: homeTaxSavingsByYear.slice(0, timeframe).reduce((sum, savings) => sum + savings, 0),
+        monthlyTakeHome: monthlyIncome + homeTaxSavingsByYear[0] / 12,
+        monthlyRentalIncome: rentalIncomeByYear[0],
         monthlyDiscretionary: monthlyDiscretionary,
         monthlyToInvestments: monthlyToInvestments,
         startingPortfolio: startingPortfolio,
         equityData: equityData,
         portfolioData: portfolioData,
         netWorthData: netWorthData,
+        netWorthBasis: sale.netWorthBasis,
         finalNetWorth: netWorthData[timeframe - 1]?.totalNetWorth || 0,
         retirementPortfolio: retirementPortfolio,
         yearsToFI: yearsToFI,
@@ -1183,6 +3559,7 @@ function calculateDifferences(resultsA, resultsB) {
     return {
         annualCost: resultsA.annualHousingCost - resultsB.annualHousingCost,
         discretionary: resultsA.monthlyDiscretionary - resultsB.monthlyDiscretionary,
+        taxSavings: resultsA.totalTaxSavings - resultsB.totalTaxSavings,
         investments: resultsA.monthlyToInvestments - resultsB.monthlyToInvestments,
         netWorth: resultsA.finalNetWorth - resultsB.finalNetWorth,
         retirementPortfolio: resultsA.retirementPortfolio - resultsB.retirementPortfolio,
@@ -1193,18 +3570,22 @@ function calculateDifferences(resultsA, resultsB) {
 
 /**
  * Determine winner and break-even
+ * With an inflation rate, net worth is compared in today's dollars
  */
-function determineWinner(resultsA, resultsB, timeframe) {
+function determineWinner(resultsA, resultsB, timeframe, inflationRate = 0) {
+    const netWorthA = adjustForInflation(resultsA.netWorthData, ['totalNetWorth'], inflationRate);
+    const netWorthB = adjustForInflation(resultsB.netWorthData, ['totalNetWorth'], inflationRate);
+
     // Find break-even year
     let breakEvenYear = null;
     for (let i = 0; i < timeframe; i++) {
-        const networthA = resultsA.netWorthData[i]?.totalNetWorth || 0;
-        const networthB = resultsB.netWorthData[i]?.totalNetWorth || 0;
+        const networthA = netWorthA[i]?.totalNetWorth || 0;
+        const networthB = netWorthB[i]?.totalNetWorth || 0;
 
         if (i === 0) continue;
 
-        const prevNetworthA = resultsA.netWorthData[i-1]?.totalNetWorth || 0;
-        const prevNetworthB = resultsB.netWorthData[i-1]?.totalNetWorth || 0;
+        const prevNetworthA = netWorthA[i-1]?.totalNetWorth || 0;
+        const prevNetworthB = netWorthB[i-1]?.totalNetWorth || 0;
 
         // Check if they crossed over
         if ((prevNetworthA < prevNetworthB && networthA >= networthB) ||
@@ -1214,12 +3595,14 @@ function determineWinner(resultsA, resultsB, timeframe) {
         }
     }
 
-    const finalDiff = resultsA.finalNetWorth - resultsB.finalNetWorth;
+    const finalDiff = toRealDollars(resultsA.finalNetWorth - resultsB.finalNetWorth, inflationRate, timeframe);
 
     return {
         winner: finalDiff > 0 ? 'A' : 'B',
         difference: Math.abs(finalDiff),
-        breakEvenYear: breakEvenYear
+        breakEvenYear: breakEvenYear,
+        realTerms: inflationRate > 0,
+        liquidated: resultsA.netWorthBasis === 'liquidated'
     };
 }
 
@@ -1252,6 +3635,16 @@ function displayComparisonResults(comparison, timeframe) {
     document.getElementById('discretionary-diff').textContent = formatCurrency(discDiffAbs);
     document.getElementById('discretionary-winner').textContent = `${discWinner} has more`;
 
+    // Homeownership tax savings over the timeframe
+    document.getElementById('tax-savings-a').textContent = formatCurrency(scenarioA.totalTaxSavings);
+    document.getElementById('tax-savings-a-detail').textContent = `${formatCurrency(scenarioA.annualTaxSavings)} in year 1`;
+    document.getElementById('tax-savings-b').textContent = formatCurrency(scenarioB.totalTaxSavings);
+    document.getElementById('tax-savings-b-detail').textContent = `${formatCurrency(scenarioB.annualTaxSavings)} in year 1`;
+    document.getElementById('tax-savings-diff').textContent = formatCurrency(Math.abs(differences.taxSavings));
+    document.getElementById('tax-savings-winner').textContent = differences.taxSavings === 0
+        ? 'Neither itemizes'
+        : `${differences.taxSavings > 0 ? scenarioA.scenario.name : scenarioB.scenario.name} saves more`;
+
     // Monthly investment contributions - show both actual values
     document.getElementById('investment-contribution-a').textContent = formatCurrency(scenarioA.monthlyToInvestments);
     document.getElementById('investment-contribution-b').textContent = formatCurrency(scenarioB.monthlyToInvestments);
@@ -1265,7 +3658,8 @@ function displayComparisonResults(comparison, timeframe) {
     document.getElementById('comparison-timeframe').textContent = timeframe;
     const networthWinner = winner.winner === 'A' ? scenarioA.scenario.name : scenarioB.scenario.name;
     document.getElementById('networth-winner').textContent = `${networthWinner} Wins`;
-    document.getElementById('networth-diff').textContent = `${formatCurrency(winner.difference)} more wealth`;
+    document.getElementById('networth-diff').textContent =
+        `${formatCurrency(winner.difference)} more wealth${winner.liquidated ? ' after selling' : ''}${winner.realTerms ? " in today's dollars" : ''}`;
 
     // Break-even
     document.getElementById('breakeven-year').textContent =
@@ -1299,6 +3693,22 @@ function displayComparisonResults(comparison, timeframe) {
         document.getElementById('milestone-detail').textContent = 'Adjust savings parameters';
     }
 
+    // Simulated chance of each scenario ending ahead
+    const simulationSection = document.getElementById('comparison-simulation');
+    if (comparison.simulation) {
+        const { paths, bands, probabilityAWins } = comparison.simulation;
+        document.getElementById('simulation-win-a').textContent = formatPercent(probabilityAWins * 100, 0);
+        document.getElementById('simulation-win-a-label').textContent = `Chance ${scenarioA.scenario.name} Ends Ahead`;
+        document.getElementById('simulation-win-detail').textContent = `Share of ${paths.toLocaleString()} simulated market paths`;
+        document.getElementById('simulation-range-a').textContent = formatSimulationRange(bands.A, timeframe);
+        document.getElementById('simulation-range-a-detail').textContent = `${scenarioA.scenario.name} net worth, P10 - P90`;
+        document.getElementById('simulation-range-b').textContent = formatSimulationRange(bands.B, timeframe);
+        document.getElementById('simulation-range-b-detail').textContent = `${scenarioB.scenario.name} net worth, P10 - P90`;
+        simulationSection.style.display = 'block';
+    } else {
+        simulationSection.style.display = 'none';
+    }
+
     // Render comparison chart
-    renderComprehensiveComparisonChart(scenarioA, scenarioB, timeframe);
+    renderComprehensiveComparisonChart(scenarioA, scenarioB, timeframe, comparison.simulation ? comparison.simulation.bands : null);
 }
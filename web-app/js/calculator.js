@@ -29,25 +29,447 @@ function calculateMonthlyPayment(principal, annualRate, years) {
     return payment;
 }
 
+/**
+ * Adjustable-rate mortgage products
+ * fixedYears: initial fixed period, adjustmentMonths: months between resets,
+ * caps: default initial/periodic/lifetime rate caps (percentage points)
+ */
+const ARM_PRODUCTS = {
+    '5/1': { fixedYears: 5, adjustmentMonths: 12, caps: { initial: 2, periodic: 2, lifetime: 5 } },
+    '7/1': { fixedYears: 7, adjustmentMonths: 12, caps: { initial: 5, periodic: 2, lifetime: 5 } },
+    '10/1': { fixedYears: 10, adjustmentMonths: 12, caps: { initial: 5, periodic: 2, lifetime: 5 } },
+    '5/6': { fixedYears: 5, adjustmentMonths: 6, caps: { initial: 2, periodic: 1, lifetime: 5 } },
+    '7/6': { fixedYears: 7, adjustmentMonths: 6, caps: { initial: 5, periodic: 1, lifetime: 5 } },
+    '10/6': { fixedYears: 10, adjustmentMonths: 6, caps: { initial: 5, periodic: 1, lifetime: 5 } }
+};
+
+/**
+ * Get the projected ARM index value for a given month
+ * @param {number} month - Payment number (1-based)
+ * @param {Object} arm - ARM terms (indexRate, indexChange, optional indexPath by loan year)
+ * @returns {number} Index rate (percentage)
+ */
+function getArmIndexForMonth(month, arm) {
+    const loanYear = Math.floor((month - 1) / 12);
+
+    // Explicit yearly path wins; its last value holds for the rest of the loan
+    if (arm.indexPath && arm.indexPath.length > 0) {
+        return arm.indexPath[Math.min(loanYear, arm.indexPath.length - 1)];
+    }
+
+    return (arm.indexRate || 0) + (arm.indexChange || 0) * loanYear;
+}
+
+/**
+ * Get the ARM note rate after a reset, applying index + margin and rate caps
+ * @param {number} month - Payment number of the reset (1-based)
+ * @param {number} currentRate - Rate in effect before the reset (percentage)
+ * @param {number} initialRate - Initial (teaser) rate (percentage)
+ * @param {boolean} firstAdjustment - Whether this is the first reset
+ * @param {Object} arm - ARM terms {product, indexRate, indexChange, indexPath, margin, initialCap, periodicCap, lifetimeCap}
+ * @returns {number} New note rate (percentage)
+ */
+function calculateArmResetRate(month, currentRate, initialRate, firstAdjustment, arm) {
+    const product = ARM_PRODUCTS[arm.product] || ARM_PRODUCTS['5/1'];
+    const initialCap = arm.initialCap ?? product.caps.initial;
+    const periodicCap = arm.periodicCap ?? product.caps.periodic;
+    const lifetimeCap = arm.lifetimeCap ?? product.caps.lifetime;
+    const margin = arm.margin || 0;
+
+    // Fully-indexed rate, rounded to the nearest 1/8 point
+    const fullyIndexed = Math.round((getArmIndexForMonth(month, arm) + margin) * 8) / 8;
+
+    // Each reset can only move the rate by the initial or periodic cap
+    const adjustmentCap = firstAdjustment ? initialCap : periodicCap;
+    let newRate = Math.min(Math.max(fullyIndexed, currentRate - adjustmentCap), currentRate + adjustmentCap);
+
+    // Lifetime ceiling above the initial rate; the margin acts as the floor
+    newRate = Math.min(newRate, initialRate + lifetimeCap);
+    newRate = Math.max(newRate, margin, 0);
+
+    return newRate;
+}
+
+/**
+ * Temporary buydown rate reductions (percentage points) by loan year
+ */
+const BUYDOWN_TYPES = {
+    '1-0': [1],
+    '2-1': [2, 1],
+    '3-2-1': [3, 2, 1]
+};
+
+/**
+ * Calculate the note rate after discount points and lender credits
+ * @param {number} parRate - Rate with no points or credits (percentage)
+ * @param {Object} pricing - {discountPoints, rateReductionPerPoint, lenderCreditPoints, rateIncreasePerCredit}
+ * @returns {number} Note rate (percentage)
+ */
+function calculateNoteRate(parRate, pricing) {
+    if (!pricing) return parRate;
+
+    const reduction = (pricing.discountPoints || 0) * (pricing.rateReductionPerPoint ?? 0.25);
+    const increase = (pricing.lenderCreditPoints || 0) * (pricing.rateIncreasePerCredit ?? 0.25);
+
+    return Math.max(0, parRate - reduction + increase);
+}
+
+/**
+ * Get the temporary buydown rate reduction for a given month
+ * @param {number} month - Payment number (1-based)
+ * @param {string} buydownType - '1-0', '2-1', '3-2-1' or 'none'
+ * @returns {number} Rate reduction (percentage points)
+ */
+function getBuydownReduction(month, buydownType) {
+    const reductions = BUYDOWN_TYPES[buydownType];
+    if (!reductions) return 0;
+
+    return reductions[Math.floor((month - 1) / 12)] || 0;
+}
+
+/**
+ * Evaluate discount points, lender credits and temporary buydowns against the par rate
+ * @param {number} loanAmount - Loan amount
+ * @param {number} parRate - Rate with no points or credits (percentage)
+ * @param {number} years - Loan term in years
+ * @param {Object} pricing - {discountPoints, rateReductionPerPoint, lenderCreditPoints, rateIncreasePerCredit, buydown, buydownPaidBy}
+ * @returns {Object} Note rate, per-option upfront cost / monthly savings / break-even month, total upfront cost
+ */
+function calculateRatePricingOptions(loanAmount, parRate, years, pricing) {
+    const parPayment = calculateMonthlyPayment(loanAmount, parRate, years);
+    const noteRate = calculateNoteRate(parRate, pricing);
+    const options = [];
+
+    if (pricing && pricing.discountPoints > 0) {
+        const rate = calculateNoteRate(parRate, { ...pricing, lenderCreditPoints: 0 });
+        const upfrontCost = loanAmount * pricing.discountPoints / 100;
+        const monthlySavings = parPayment - calculateMonthlyPayment(loanAmount, rate, years);
+
+        options.push({
+            type: 'points',
+            label: `${pricing.discountPoints} discount point${pricing.discountPoints === 1 ? '' : 's'}`,
+            rate: rate,
+            upfrontCost: upfrontCost,
+            monthlySavings: monthlySavings,
+            breakEvenMonth: monthlySavings > 0 ? Math.ceil(upfrontCost / monthlySavings) : null
+        });
+    }
+
+    if (pricing && pricing.lenderCreditPoints > 0) {
+        const rate = calculateNoteRate(parRate, { ...pricing, discountPoints: 0 });
+        const credit = loanAmount * pricing.lenderCreditPoints / 100;
+        const monthlySavings = parPayment - calculateMonthlyPayment(loanAmount, rate, years);
+
+        // Savings are negative: the credit wins if the loan ends before the higher payments add up to it
+        options.push({
+            type: 'credit',
+            label: `${pricing.lenderCreditPoints} point${pricing.lenderCreditPoints === 1 ? '' : 's'} lender credit`,
+            rate: rate,
+            upfrontCost: -credit,
+            monthlySavings: monthlySavings,
+            breakEvenMonth: monthlySavings < 0 ? Math.floor(credit / -monthlySavings) : null
+        });
+    }
+
+    const buydownReductions = pricing ? BUYDOWN_TYPES[pricing.buydown] : null;
+    if (buydownReductions) {
+        const notePayment = calculateMonthlyPayment(loanAmount, noteRate, years);
+        const yearlySavings = buydownReductions.map(reduction =>
+            notePayment - calculateMonthlyPayment(loanAmount, Math.max(0, noteRate - reduction), years)
+        );
+        const subsidy = yearlySavings.reduce((sum, savings) => sum + savings * 12, 0);
+        const buyerPaid = pricing.buydownPaidBy !== 'seller';
+
+        // A buyer-paid buydown only returns its cost by the end of the buydown period
+        options.push({
+            type: 'buydown',
+            label: `${pricing.buydown} temporary buydown${buyerPaid ? '' : ' (seller-paid)'}`,
+            rate: Math.max(0, noteRate - buydownReductions[0]),
+            upfrontCost: buyerPaid ? subsidy : 0,
+            monthlySavings: yearlySavings[0],
+            yearlySavings: yearlySavings,
+            subsidy: subsidy,
+            breakEvenMonth: buyerPaid ? buydownReductions.length * 12 : 0
+        });
+    }
+
+    return {
+        parRate: parRate,
+        noteRate: noteRate,
+        options: options,
+        totalUpfrontCost: options.reduce((sum, option) => sum + option.upfrontCost, 0)
+    };
+}
+
+/**
+ * Typical closing cost assumptions
+ * transferTaxRate is a percentage of the purchase price; escrow and reserves are in months
+ */
+const DEFAULT_CLOSING_COSTS = {
+    lenderFees: 1500,
+    titleFees: 2000,
+    appraisal: 600,
+    transferTaxRate: 0,
+    prepaidInterestDays: 15,
+    escrowMonths: 3,
+    reserveMonths: 2
+};
+
+/**
+ * Calculate cash needed to close: down payment, closing costs, prepaids and required reserves
+ * @param {number} purchasePrice - Home purchase price
+ * @param {number} downPayment - Down payment amount
+ * @param {number} loanAmount - Loan amount
+ * @param {number} annualRate - Note rate (percentage), used for prepaid interest
+ * @param {number} monthlyEscrow - Monthly property tax + insurance, used to seed the escrow account
+ * @param {number} monthlyHousingPayment - Full monthly housing payment, used for reserves
+ * @param {Object} closingCosts - {lenderFees, titleFees, appraisal, transferTaxRate, prepaidInterestDays, escrowMonths, reserveMonths}
+ * @param {number} pricingCost - Points and buydown cost less lender credits (from calculateRatePricingOptions)
+ * @returns {Object} Itemized costs, cash to close (spent at closing) and total cash required (including reserves)
+ */
+function calculateCashToClose(purchasePrice, downPayment, loanAmount, annualRate, monthlyEscrow, monthlyHousingPayment, closingCosts, pricingCost = 0) {
+    const costs = { ...DEFAULT_CLOSING_COSTS, ...closingCosts };
+
+    const transferTax = purchasePrice * costs.transferTaxRate / 100;
+    const fees = costs.lenderFees + costs.titleFees + costs.appraisal + transferTax;
+
+    // Lender credits can offset closing costs but not the down payment
+    const totalClosingCosts = Math.max(0, fees + pricingCost);
+
+    const prepaidInterest = loanAmount * annualRate / 100 / 365 * costs.prepaidInterestDays;
+    const escrowDeposit = monthlyEscrow * costs.escrowMonths;
+    const prepaids = prepaidInterest + escrowDeposit;
+
+    const cashToClose = downPayment + totalClosingCosts + prepaids;
+    const reserves = monthlyHousingPayment * costs.reserveMonths;
+
+    return {
+        downPayment: downPayment,
+        lenderFees: costs.lenderFees,
+        titleFees: costs.titleFees,
+        appraisal: costs.appraisal,
+        transferTax: transferTax,
+        pricingCost: pricingCost,
+        closingCosts: totalClosingCosts,
+        prepaidInterest: prepaidInterest,
+        escrowDeposit: escrowDeposit,
+        prepaids: prepaids,
+        cashToClose: cashToClose,
+        reserves: reserves,
+        totalCashRequired: cashToClose + reserves
+    };
+}
+
+/**
+ * Typical annual borrower-paid PMI rates (% of loan amount) by LTV band and credit score
+ * Rows are ordered from highest LTV; columns follow PMI_CREDIT_SCORE_BANDS
+ */
+const PMI_CREDIT_SCORE_BANDS = [760, 740, 720, 700, 680, 660, 640, 620];
+const PMI_RATE_GRID = [
+    { maxLTV: 97, rates: [0.58, 0.70, 0.87, 1.05, 1.31, 1.67, 1.87, 1.96] },
+    { maxLTV: 95, rates: [0.41, 0.53, 0.66, 0.78, 0.96, 1.19, 1.33, 1.40] },
+    { maxLTV: 90, rates: [0.30, 0.38, 0.46, 0.55, 0.65, 0.84, 0.94, 0.99] },
+    { maxLTV: 85, rates: [0.19, 0.20, 0.23, 0.27, 0.32, 0.39, 0.43, 0.46] }
+];
+
+/**
+ * PMI cancellation thresholds (loan balance as % of original value)
+ */
+const PMI_AUTOMATIC_TERMINATION_LTV = 78;
+const PMI_REQUESTED_CANCELLATION_LTV = 80;
+
+/**
+ * Look up the annual PMI rate for a loan-to-value ratio and credit score
+ * @param {number} ltv - Loan-to-value ratio (percentage)
+ * @param {number} creditScore - Borrower credit score
+ * @returns {number} Annual PMI rate (percentage of loan amount)
+ */
+function getPMIRate(ltv, creditScore) {
+    if (ltv <= 80) return 0;
+
+    // Narrowest LTV band that covers this loan (LTVs above 97% use the top row)
+    const ltvBand = PMI_RATE_GRID.slice().reverse().find(band => ltv <= band.maxLTV) || PMI_RATE_GRID[0];
+
+    // Scores below 620 are priced at the lowest band
+    let scoreIndex = PMI_CREDIT_SCORE_BANDS.findIndex(minScore => creditScore >= minScore);
+    if (scoreIndex === -1) scoreIndex = PMI_CREDIT_SCORE_BANDS.length - 1;
+
+    return ltvBand.rates[scoreIndex];
+}
+
 /**
  * Calculate monthly PMI (Private Mortgage Insurance)
  * @param {number} loanAmount - Loan amount
  * @param {number} purchasePrice - Purchase price of home
  * @param {number} downPaymentPercent - Down payment as percentage
+ * @param {number} creditScore - Optional credit score; prices PMI from the LTV/credit grid
  * @returns {number} Monthly PMI amount (0 if down payment >= 20%)
  */
-function calculatePMI(loanAmount, purchasePrice, downPaymentPercent) {
+function calculatePMI(loanAmount, purchasePrice, downPaymentPercent, creditScore = null) {
     // PMI only required if down payment < 20%
     if (downPaymentPercent >= 20) return 0;
 
-    // Typical PMI rate: 0.5% - 1.5% of loan amount annually
-    // Using 0.75% as default
-    const pmiRate = 0.0075;
+    // Without a credit score, use a typical flat rate of 0.75% annually
+    let pmiRate = 0.0075;
+    if (creditScore) {
+        const ltv = (loanAmount / purchasePrice) * 100;
+        pmiRate = getPMIRate(ltv, creditScore) / 100;
+    }
+
     const monthlyPMI = (loanAmount * pmiRate) / 12;
 
     return monthlyPMI;
 }
 
+/**
+ * Government loan programs alongside conventional loans
+ * minDownPayment is % of price; dtiLimits are max housing / total debt ratios (null = no housing limit)
+ */
+const LOAN_PROGRAMS = {
+    conventional: { label: 'Conventional', premiumLabel: 'PMI', minDownPayment: 3, dtiLimits: { housing: 28, total: 36 } },
+    fha: { label: 'FHA', premiumLabel: 'MIP', minDownPayment: 3.5, dtiLimits: { housing: 31, total: 43 } },
+    va: { label: 'VA', premiumLabel: null, minDownPayment: 0, dtiLimits: { housing: null, total: 41 } },
+    usda: { label: 'USDA', premiumLabel: 'USDA fee', minDownPayment: 0, dtiLimits: { housing: 29, total: 41 } }
+};
+
+/**
+ * FHA mortgage insurance: 1.75% upfront (financed), annual MIP by term and LTV
+ * MIP lasts 11 years with at least 10% down, otherwise for the life of the loan
+ */
+const FHA_UPFRONT_MIP = 1.75;
+const FHA_MIP_MIN_DOWN_FOR_11_YEARS = 10;
+
+/**
+ * VA funding fee (% of loan) by prior use and down payment; exempt borrowers pay none
+ */
+const VA_FUNDING_FEE = {
+    first: [{ minDown: 10, rate: 1.25 }, { minDown: 5, rate: 1.5 }, { minDown: 0, rate: 2.15 }],
+    subsequent: [{ minDown: 10, rate: 1.25 }, { minDown: 5, rate: 1.5 }, { minDown: 0, rate: 3.3 }]
+};
+
+/**
+ * USDA guarantee fee: 1% upfront (financed) and 0.35% annually for the life of the loan
+ */
+const USDA_UPFRONT_FEE = 1.0;
+const USDA_ANNUAL_FEE = 0.35;
+
+/**
+ * Look up the FHA annual MIP rate
+ * @param {number} ltv - Loan-to-value ratio (percentage, before the upfront MIP)
+ * @param {number} years - Loan term in years
+ * @returns {number} Annual MIP rate (percentage of loan amount)
+ */
+function getFHAAnnualMIPRate(ltv, years) {
+    if (years > 15) {
+        return ltv <= 95 ? 0.50 : 0.55;
+    }
+    return ltv <= 90 ? 0.15 : 0.40;
+}
+
+/**
+ * Look up the VA funding fee rate
+ * @param {number} downPaymentPercent - Down payment as percentage
+ * @param {string} usage - 'first', 'subsequent' or 'exempt'
+ * @returns {number} Funding fee rate (percentage of loan amount)
+ */
+function getVAFundingFeeRate(downPaymentPercent, usage) {
+    if (usage === 'exempt') return 0;
+
+    const tiers = VA_FUNDING_FEE[usage] || VA_FUNDING_FEE.first;
+    return tiers.find(tier => downPaymentPercent >= tier.minDown).rate;
+}
+
+/**
+ * Calculate a loan program's upfront fee, financed loan amount and monthly mortgage insurance
+ * @param {string} program - 'conventional', 'fha', 'va' or 'usda'
+ * @param {number} baseLoanAmount - Purchase price less down payment
+ * @param {number} purchasePrice - Purchase price of home
+ * @param {number} years - Loan term in years
+ * @param {Object} options - {creditScore (conventional PMI), vaUsage: 'first'|'subsequent'|'exempt'}
+ * @returns {Object} {program, upfrontFeeRate, upfrontFee, loanAmount, annualPremiumRate, monthlyPremium,
+ *     premiumMonths (fixed duration), lifeOfLoan}
+ */
+function calculateLoanProgramCosts(program, baseLoanAmount, purchasePrice, years, options = {}) {
+    // Rounded so exact tier boundaries (e.g., 10% down) aren't missed by floating-point error
+    const downPaymentPercent = purchasePrice > 0
+        ? Math.round((purchasePrice - baseLoanAmount) / purchasePrice * 100 * 1e6) / 1e6
+        : 0;
+    const ltv = 100 - downPaymentPercent;
+
+    let upfrontFeeRate = 0;
+    let annualPremiumRate = 0;
+    let premiumMonths = null;
+    let lifeOfLoan = false;
+
+    if (program === 'fha') {
+        upfrontFeeRate = FHA_UPFRONT_MIP;
+        annualPremiumRate = getFHAAnnualMIPRate(ltv, years);
+        if (downPaymentPercent >= FHA_MIP_MIN_DOWN_FOR_11_YEARS) {
+            premiumMonths = 11 * 12;
+        } else {
+            lifeOfLoan = true;
+        }
+    } else if (program === 'va') {
+        upfrontFeeRate = getVAFundingFeeRate(downPaymentPercent, options.vaUsage);
+    } else if (program === 'usda') {
+        upfrontFeeRate = USDA_UPFRONT_FEE;
+        annualPremiumRate = USDA_ANNUAL_FEE;
+        lifeOfLoan = true;
+    }
+
+    // Upfront fees are financed; annual premiums are charged on the financed amount
+    const upfrontFee = baseLoanAmount * upfrontFeeRate / 100;
+    const loanAmount = baseLoanAmount + upfrontFee;
+    const monthlyPremium = program === 'fha' || program === 'usda'
+        ? loanAmount * annualPremiumRate / 100 / 12
+        : calculatePMI(baseLoanAmount, purchasePrice, downPaymentPercent, options.creditScore);
+
+    return {
+        program: LOAN_PROGRAMS[program] ? program : 'conventional',
+        upfrontFeeRate: upfrontFeeRate,
+        upfrontFee: upfrontFee,
+        loanAmount: loanAmount,
+        annualPremiumRate: annualPremiumRate,
+        monthlyPremium: program === 'va' ? 0 : monthlyPremium,
+        premiumMonths: premiumMonths,
+        lifeOfLoan: lifeOfLoan
+    };
+}
+
+/**
+ * Check whether PMI ends after a given month's payment
+ * Automatic termination at 78% of original value, borrower-requested cancellation
+ * at 80% (optionally of the appreciated value after 2 years), and final termination
+ * at the loan's midpoint. FHA and USDA premiums instead run for a fixed number of
+ * months or the life of the loan.
+ * @param {number} month - Payment number (1-based)
+ * @param {number} balance - Loan balance after the payment
+ * @param {number} numPayments - Total payments in the loan term
+ * @param {Object} pmi - {monthlyPMI, originalValue, cancellation: 'automatic'|'request', appreciationRate,
+ *     premiumMonths, lifeOfLoan}
+ * @returns {boolean} True if PMI is no longer charged from the next month
+ */
+function isPMITerminated(month, balance, numPayments, pmi) {
+    if (pmi.lifeOfLoan) return false;
+    if (pmi.premiumMonths) return month >= pmi.premiumMonths;
+
+    const originalValue = pmi.originalValue;
+
+    if (balance <= originalValue * PMI_AUTOMATIC_TERMINATION_LTV / 100) return true;
+    if (month >= numPayments / 2) return true;
+
+    if (pmi.cancellation === 'request') {
+        // Lenders typically require two years of seasoning before counting appreciation
+        const useAppreciation = pmi.appreciationRate !== undefined && pmi.appreciationRate !== null && month >= 24;
+        const value = useAppreciation
+            ? originalValue * Math.pow(1 + pmi.appreciationRate / 100, month / 12)
+            : originalValue;
+        if (balance <= value * PMI_REQUESTED_CANCELLATION_LTV / 100) return true;
+    }
+
+    return false;
+}
+
 /**
  * Calculate total monthly payment with all components
  * @param {number} principal - Loan amount
@@ -57,9 +479,10 @@ function calculatePMI(loanAmount, purchasePrice, downPaymentPercent) {
  * @param {number} insurance - Monthly homeowners insurance
  * @param {number} hoa - Monthly HOA/condo fees
  * @param {number} pmi - Monthly PMI
+ * @param {Object} arm - Optional ARM terms; adds the projected payment at each rate reset
  * @returns {Object} Breakdown of monthly payment
  */
-function calculateTotalMonthlyPayment(principal, rate, years, propertyTax, insurance, hoa, pmi) {
+function calculateTotalMonthlyPayment(principal, rate, years, propertyTax, insurance, hoa, pmi, arm = null) {
     const principalAndInterest = calculateMonthlyPayment(principal, rate, years);
 
     const breakdown = {
@@ -71,128 +494,872 @@ function calculateTotalMonthlyPayment(principal, rate, years, propertyTax, insur
         totalPayment: principalAndInterest + pmi + propertyTax + insurance + hoa
     };
 
+    if (arm) {
+        const schedule = generateAmortizationSchedule(principal, rate, years, { arm });
+
+        // Worst case: index so high that every reset hits its cap
+        const worstCase = generateAmortizationSchedule(principal, rate, years, {
+            arm: { ...arm, indexPath: [100] }
+        });
+        const worstCaseMonth = worstCase.reduce((max, month) => month.payment > max.payment ? month : max, worstCase[0]);
+
+        breakdown.rateAdjustments = schedule
+            .filter(month => month.rateReset)
+            .map(month => ({
+                month: month.month,
+                rate: month.rate,
+                principalAndInterest: month.payment,
+                totalPayment: month.payment + pmi + propertyTax + insurance + hoa
+            }));
+        breakdown.worstCasePrincipalAndInterest = worstCaseMonth.payment;
+        breakdown.worstCaseRate = worstCaseMonth.rate;
+    }
+
     return breakdown;
 }
 
+/**
+ * Get the extra principal scheduled for a given month of the loan
+ * @param {number} month - Payment number (1-based)
+ * @param {Object} prepayments - {monthlyExtra, annualExtra, annualExtraMonth, escalationRate, lumpSums: [{month, amount}]}
+ * @returns {number} Extra principal for that month
+ */
+function getExtraPrincipalForMonth(month, prepayments) {
+    if (!prepayments) return 0;
+
+    // Recurring extras grow by the escalation rate once per loan year
+    const loanYear = Math.floor((month - 1) / 12);
+    const escalation = Math.pow(1 + (prepayments.escalationRate || 0) / 100, loanYear);
+
+    let extra = (prepayments.monthlyExtra || 0) * escalation;
+
+    // Annual extra is paid once per loan year (defaults to the 12th payment)
+    const annualExtraMonth = prepayments.annualExtraMonth || 12;
+    if (prepayments.annualExtra > 0 && ((month - 1) % 12) + 1 === annualExtraMonth) {
+        extra += prepayments.annualExtra * escalation;
+    }
+
+    (prepayments.lumpSums || []).forEach(lumpSum => {
+        if (lumpSum.month === month) {
+            extra += lumpSum.amount;
+        }
+    });
+
+    return extra;
+}
+
 /**
  * Generate complete amortization schedule
  * @param {number} principal - Loan amount
- * @param {number} annualRate - Annual interest rate (percentage)
+ * @param {number} annualRate - Annual interest rate (percentage); initial rate for ARMs
  * @param {number} years - Loan term in years
- * @returns {Array} Array of payment objects with details for each month
+ * @param {Object} loanOptions - Optional {prepayments, arm, pmi, buydown, refinance} (see getExtraPrincipalForMonth,
+ *     calculateArmResetRate, isPMITerminated, getBuydownReduction, calculateRefinanceAnalysis)
+ * @returns {Array} Array of payment objects with details for each month (ends early if prepaid,
+ *     runs past the original term if refinanced into a longer loan)
  */
-function generateAmortizationSchedule(principal, annualRate, years) {
-    const monthlyRate = annualRate / 100 / 12;
+function generateAmortizationSchedule(principal, annualRate, years, loanOptions = {}) {
+    const { prepayments = null, arm = null, pmi = null, buydown = null, refinance = null } = loanOptions || {};
     const numPayments = years * 12;
-    const monthlyPayment = calculateMonthlyPayment(principal, annualRate, years);
+    let product = arm ? (ARM_PRODUCTS[arm.product] || ARM_PRODUCTS['5/1']) : null;
+    let finalMonth = numPayments;
+
+    let rate = annualRate;
+    let monthlyRate = rate / 100 / 12;
+    let monthlyPayment = calculateMonthlyPayment(principal, annualRate, years);
 
     const schedule = [];
     let balance = principal;
+    let pmiActive = pmi !== null && pmi.monthlyPMI > 0;
+
+    for (let month = 1; month <= finalMonth; month++) {
+        // Refinance: new fixed-rate loan on the remaining balance plus cash-out (and financed costs)
+        const refinanced = refinance !== null && month === refinance.month + 1;
+        if (refinanced) {
+            balance += (refinance.cashOut || 0) + (refinance.financeClosingCosts ? (refinance.closingCosts || 0) : 0);
+            rate = refinance.rate;
+            monthlyRate = rate / 100 / 12;
+            monthlyPayment = calculateMonthlyPayment(balance, rate, refinance.termYears);
+            finalMonth = refinance.month + refinance.termYears * 12;
+            product = null;
+        }
+
+        // ARM reset: new rate, re-amortize remaining balance over remaining term
+        const monthsSinceFixed = month - 1 - (product ? product.fixedYears * 12 : 0);
+        const rateReset = product !== null && monthsSinceFixed >= 0 && monthsSinceFixed % product.adjustmentMonths === 0;
+        if (rateReset) {
+            rate = calculateArmResetRate(month, rate, annualRate, monthsSinceFixed === 0, arm);
+            monthlyRate = rate / 100 / 12;
+            monthlyPayment = calculateMonthlyPayment(balance, rate, (numPayments - month + 1) / 12);
+        }
 
-    for (let month = 1; month <= numPayments; month++) {
         const interestPayment = balance * monthlyRate;
-        const principalPayment = monthlyPayment - interestPayment;
-        balance -= principalPayment;
+        let principalPayment = monthlyPayment - interestPayment;
+        let extraPrincipal = getExtraPrincipalForMonth(month, prepayments);
 
-        // Handle rounding errors in final payment
-        if (month === numPayments) {
-            balance = 0;
+        // Handle rounding errors in final payment and cap extra principal at the balance
+        if (month === finalMonth || principalPayment >= balance) {
+            principalPayment = balance;
+            extraPrincipal = 0;
+        } else if (principalPayment + extraPrincipal > balance) {
+            extraPrincipal = balance - principalPayment;
+        }
+
+        balance -= principalPayment + extraPrincipal;
+
+        const pmiPayment = pmiActive ? pmi.monthlyPMI : 0;
+
+        // Temporary buydown: borrower pays the reduced-rate payment, the subsidy covers the rest
+        // (the subsidy ends if the loan is refinanced during the buydown)
+        const buydownReduction = refinance !== null && month > refinance.month ? 0 : getBuydownReduction(month, buydown);
+        const buydownSubsidy = buydownReduction > 0
+            ? monthlyPayment - calculateMonthlyPayment(principal, Math.max(0, rate - buydownReduction), years)
+            : 0;
+        if (pmiActive && isPMITerminated(month, balance, numPayments, pmi)) {
+            pmiActive = false;
         }
 
         schedule.push({
             month: month,
-            payment: monthlyPayment,
+            rate: rate,
+            rateReset: rateReset,
+            refinanced: refinanced,
+            payment: principalPayment + interestPayment,
             principal: principalPayment,
+            extraPrincipal: extraPrincipal,
             interest: interestPayment,
+            pmi: pmiPayment,
+            buydownSubsidy: buydownSubsidy,
             balance: Math.max(0, balance)
         });
+
+        // Loan paid off early by extra principal
+        if (principal > 0 && balance <= 0) break;
     }
 
     return schedule;
 }
 
+/**
+ * Find the first month without PMI in an amortization schedule
+ * @param {Array} schedule - Amortization schedule from generateAmortizationSchedule
+ * @returns {number|null} Month PMI drops off, or null if PMI was never charged
+ */
+function getPMIDropOffMonth(schedule) {
+    const lastPMIMonth = schedule.filter(month => month.pmi > 0).pop();
+    return lastPMIMonth ? lastPMIMonth.month + 1 : null;
+}
+
+/**
+ * Compare a prepayment plan against the standard amortization schedule
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate (percentage)
+ * @param {number} years - Loan term in years
+ * @param {Object} loanOptions - {prepayments, arm}; the baseline drops the prepayments
+ * @returns {Object} Shortened schedule, payoff month, months saved and interest saved
+ */
+function calculatePrepaymentSavings(principal, annualRate, years, loanOptions = {}) {
+    const baseline = generateAmortizationSchedule(principal, annualRate, years, { ...loanOptions, prepayments: null });
+    const schedule = generateAmortizationSchedule(principal, annualRate, years, loanOptions);
+
+    const baselineInterest = baseline.reduce((sum, month) => sum + month.interest, 0);
+    const totalInterest = schedule.reduce((sum, month) => sum + month.interest, 0);
+    const totalExtraPrincipal = schedule.reduce((sum, month) => sum + month.extraPrincipal, 0);
+
+    return {
+        schedule: schedule,
+        payoffMonth: schedule.length,
+        monthsSaved: baseline.length - schedule.length,
+        baselineInterest: baselineInterest,
+        totalInterest: totalInterest,
+        interestSaved: baselineInterest - totalInterest,
+        totalExtraPrincipal: totalExtraPrincipal
+    };
+}
+
+/**
+ * Compare refinancing a loan at a given month against keeping it
+ * The new loan is fixed-rate on the balance after the refinance month, plus any cash-out
+ * and financed closing costs. Extra principal payments and PMI rules carry over to the new loan.
+ * @param {number} principal - Original loan amount
+ * @param {number} annualRate - Original note rate (percentage)
+ * @param {number} years - Original loan term in years
+ * @param {Object} loanOptions - Original loan's {prepayments, arm, pmi, buydown}
+ * @param {Object} refinance - {month, rate, termYears, closingCosts, cashOut, financeClosingCosts}
+ * @returns {Object|null} Payment change, break-even months and interest difference, or null if
+ *     the loan is already paid off by the refinance month
+ */
+function calculateRefinanceAnalysis(principal, annualRate, years, loanOptions, refinance) {
+    const current = generateAmortizationSchedule(principal, annualRate, years, { ...loanOptions, refinance: null });
+    const refinanced = generateAmortizationSchedule(principal, annualRate, years, { ...loanOptions, refinance });
+    const month = refinance.month;
+
+    if (month < 1 || month >= current.length) {
+        return null;
+    }
+
+    const closingCosts = refinance.closingCosts || 0;
+    const cashOut = refinance.cashOut || 0;
+    const outOfPocketCosts = refinance.financeClosingCosts ? 0 : closingCosts;
+    const remainingCurrent = current.slice(month);
+    const remainingRefinanced = refinanced.slice(month);
+
+    const oldPayment = remainingCurrent[0].payment;
+    const newPayment = remainingRefinanced[0].payment;
+    const monthlySavings = oldPayment - newPayment;
+
+    // Net advantage of refinancing each month: cash received and payments saved,
+    // less upfront costs and the extra balance still owed on the new loan
+    let cumulativeSavings = 0;
+    let breakEvenMonth = null;
+    const horizon = Math.max(remainingCurrent.length, remainingRefinanced.length);
+    for (let i = 0; i < horizon && breakEvenMonth === null; i++) {
+        const currentMonth = remainingCurrent[i];
+        const refinancedMonth = remainingRefinanced[i];
+        const currentOutflow = currentMonth ? currentMonth.payment + currentMonth.extraPrincipal : 0;
+        const refinancedOutflow = refinancedMonth ? refinancedMonth.payment + refinancedMonth.extraPrincipal : 0;
+        cumulativeSavings += currentOutflow - refinancedOutflow;
+
+        const balanceDifference = (refinancedMonth ? refinancedMonth.balance : 0) - (currentMonth ? currentMonth.balance : 0);
+        if (cashOut - outOfPocketCosts + cumulativeSavings - balanceDifference >= 0) {
+            breakEvenMonth = month + i + 1;
+        }
+    }
+
+    const remainingInterest = remainingCurrent.reduce((sum, row) => sum + row.interest, 0);
+    const refinancedInterest = remainingRefinanced.reduce((sum, row) => sum + row.interest, 0);
+
+    return {
+        refinanceMonth: month,
+        currentBalance: current[month - 1].balance,
+        newLoanAmount: remainingRefinanced[0].balance + remainingRefinanced[0].principal + remainingRefinanced[0].extraPrincipal,
+        oldPayment: oldPayment,
+        newPayment: newPayment,
+        monthlySavings: monthlySavings,
+        closingCosts: closingCosts,
+        cashOut: cashOut,
+        simpleBreakEvenMonth: monthlySavings > 0 ? month + Math.ceil(closingCosts / monthlySavings) : null,
+        breakEvenMonth: breakEvenMonth,
+        remainingInterest: remainingInterest,
+        refinancedInterest: refinancedInterest,
+        lifetimeInterestDifference: refinancedInterest - remainingInterest,
+        payoffMonth: refinanced.length,
+        schedule: refinanced
+    };
+}
+
+/**
+ * Get the rate for a projection year from a fixed rate or a per-year path
+ * @param {number|Array} rate - Annual rate (percentage), or one rate per year
+ * @param {number} year - Projection year (1-based); a path's last rate holds after it ends
+ * @returns {number} Rate for that year (percentage)
+ */
+function getRateForYear(rate, year) {
+    if (!Array.isArray(rate)) return rate;
+    if (rate.length === 0) return 0;
+    return rate[Math.min(year, rate.length) - 1];
+}
+
+/**
+ * Get the compound annual rate of a fixed rate or a per-year path
+ * @param {number|Array} rate - Annual rate (percentage), or one rate per year
+ * @returns {number} Annualized rate (percentage)
+ */
+function getAnnualizedRate(rate) {
+    if (!Array.isArray(rate)) return rate;
+    if (rate.length === 0) return 0;
+    const growth = rate.reduce((product, yearRate) => product * (1 + yearRate / 100), 1);
+    return (Math.pow(Math.max(growth, 0), 1 / rate.length) - 1) * 100;
+}
+
+/**
+ * Default yearly cost escalation (percentages)
+ * propertyTax null follows the home's appreciation; reassessmentCap (e.g., 2 for a Prop-13-style
+ * limit) caps the yearly property tax increase, null for no cap; livingExpenses grows non-housing spending
+ */
+const DEFAULT_COST_ESCALATION = {
+    propertyTax: null,
+    reassessmentCap: null,
+    insurance: 3,
+    hoa: 3,
+    utilities: 2.5,
+    maintenance: 3,
+    livingExpenses: 2.5
+};
+
+/**
+ * Recurring monthly housing costs that escalate
+ */
+const HOUSING_COST_CATEGORIES = ['propertyTax', 'insurance', 'hoa', 'utilities', 'maintenance'];
+
+/**
+ * Maintenance multiplier by home age: [age from, factor], relative to a 5-15 year old home
+ */
+const HOME_AGE_MAINTENANCE_FACTORS = [
+    [0, 0.75],
+    [5, 1],
+    [15, 1.25],
+    [30, 1.5],
+    [50, 1.75]
+];
+
+/**
+ * Major components replaced on a schedule: lifespan in years, replacement cost in today's dollars
+ */
+const DEFAULT_CAPEX_ITEMS = [
+    { name: 'Roof', lifespan: 25, replacementCost: 15000 },
+    { name: 'HVAC', lifespan: 18, replacementCost: 10000 },
+    { name: 'Water Heater', lifespan: 12, replacementCost: 1800 }
+];
+
+/**
+ * Get the maintenance multiplier for a home's age
+ * @param {number} age - Home age in years
+ * @returns {number} Multiplier applied to baseline maintenance
+ */
+function getHomeAgeMaintenanceFactor(age) {
+    let factor = HOME_AGE_MAINTENANCE_FACTORS[0][1];
+    HOME_AGE_MAINTENANCE_FACTORS.forEach(([fromAge, bracketFactor]) => {
+        if (age >= fromAge) factor = bracketFactor;
+    });
+    return factor;
+}
+
+/**
+ * Schedule capital expenditures over a projection
+ * A component is replaced when its age reaches its lifespan, then every lifespan after that.
+ * Components without an age are assumed original to the home, or replaced on schedule since built.
+ * @param {Array} items - [{name, lifespan, replacementCost, age?}]
+ * @param {number} homeAge - Home age in years at purchase
+ * @param {number} years - Projection years
+ * @param {number|Array} escalationRate - Yearly growth of replacement costs (percentage)
+ * @returns {Array} One row per year {year, cost, items: [names]}
+ */
+function calculateCapexSchedule(items, homeAge, years, escalationRate = 0) {
+    const schedule = Array.from({ length: years }, (_, index) => ({ year: index + 1, cost: 0, items: [] }));
+
+    (items || []).forEach(item => {
+        if (!(item.lifespan > 0)) return;
+        const age = item.age ?? ((homeAge || 0) % item.lifespan);
+        let year = Math.max(1, Math.ceil(item.lifespan - age));
+
+        while (year <= years) {
+            schedule[year - 1].cost += escalateAmount(item.replacementCost || 0, escalationRate, year);
+            schedule[year - 1].items.push(item.name);
+            year += item.lifespan;
+        }
+    });
+
+    return schedule;
+}
+
+/**
+ * Grow a year-1 amount to a later projection year
+ * @param {number} amount - Amount in year 1
+ * @param {number|Array} rate - Annual escalation rate (percentage), or one rate per year
+ * @param {number} year - Projection year (1-based)
+ * @returns {number} Amount in that year
+ */
+function escalateAmount(amount, rate, year) {
+    let value = amount;
+    for (let k = 1; k < year; k++) {
+        value *= 1 + (getRateForYear(rate, k) || 0) / 100;
+    }
+    return value;
+}
+
+/**
+ * Escalate monthly housing costs year by year
+ * Property tax follows the home's appreciation (or its own rate), limited by any reassessment cap.
+ * Insurance and maintenance set as a percentage of home value follow the appreciated value (the same
+ * compounding as calculateEquityOverTime) instead of an escalation rate. With a home age, maintenance
+ * also scales with getHomeAgeMaintenanceFactor as the home gets older.
+ * @param {Object} monthlyCosts - Year-1 {propertyTax, insurance, hoa, utilities, maintenance}
+ * @param {number} years - Projection years
+ * @param {Object} escalation - Escalation rates (see DEFAULT_COST_ESCALATION)
+ * @param {number|Array} appreciationRate - Home appreciation, fixed or per-year path
+ * @param {Object} valueBasedCosts - {homeValue, insuranceRate, maintenanceRate (annual % of value, or null), homeAge}
+ * @returns {Array} Monthly costs per year {year, homeValue, propertyTax, insurance, hoa, utilities, maintenance, total}
+ */
+function calculateEscalatedCosts(monthlyCosts, years, escalation = DEFAULT_COST_ESCALATION, appreciationRate = 0, valueBasedCosts = {}) {
+    const rates = { ...DEFAULT_COST_ESCALATION, ...escalation };
+    const { insuranceRate = null, maintenanceRate = null, homeAge = null } = valueBasedCosts;
+    const costs = {};
+    HOUSING_COST_CATEGORIES.forEach(category => {
+        costs[category] = monthlyCosts[category] || 0;
+    });
+
+    // Flat maintenance already reflects the home's age at purchase; later years scale relative to it
+    const startingAgeFactor = homeAge !== null && maintenanceRate === null ? getHomeAgeMaintenanceFactor(homeAge) : 1;
+    let flatMaintenance = costs.maintenance;
+    let homeValue = valueBasedCosts.homeValue || 0;
+
+    const rows = [];
+    for (let year = 1; year <= years; year++) {
+        if (year > 1) {
+            const appreciation = getRateForYear(appreciationRate, year - 1) || 0;
+            homeValue *= 1 + appreciation / 100;
+
+            let taxRate = rates.propertyTax ?? appreciation;
+            if (rates.reassessmentCap !== null && rates.reassessmentCap !== undefined) {
+                taxRate = Math.min(taxRate, rates.reassessmentCap);
+            }
+            costs.propertyTax *= 1 + taxRate / 100;
+            ['insurance', 'hoa', 'utilities'].forEach(category => {
+                costs[category] *= 1 + (getRateForYear(rates[category], year - 1) || 0) / 100;
+            });
+            flatMaintenance *= 1 + (getRateForYear(rates.maintenance, year - 1) || 0) / 100;
+        }
+
+        if (insuranceRate !== null) {
+            costs.insurance = homeValue * insuranceRate / 100 / 12;
+        }
+        costs.maintenance = maintenanceRate !== null ? homeValue * maintenanceRate / 100 / 12 : flatMaintenance;
+        if (homeAge !== null) {
+            costs.maintenance *= getHomeAgeMaintenanceFactor(homeAge + year - 1) / startingAgeFactor;
+        }
+
+        rows.push({
+            year: year,
+            homeValue: homeValue,
+            ...costs,
+            total: HOUSING_COST_CATEGORIES.reduce((sum, category) => sum + costs[category], 0)
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * Default rental assumptions for a multi-unit or house-hack scenario
+ * Rates are percentages: vacancyRate of gross rent, managementFeeRate of collected rent,
+ * lenderCredit is the share of gross rent a lender counts as qualifying income, and
+ * rentGrowth is the annual rent increase. landlordInsurance is the monthly premium on
+ * top of the homeowners policy.
+ */
+const DEFAULT_RENTAL = {
+    propertyType: 'single',
+    monthlyRent: 0,
+    vacancyRate: 5,
+    managementFeeRate: 8,
+    landlordInsurance: 0,
+    rentGrowth: 3,
+    lenderCredit: 75
+};
+
+/**
+ * Calculate monthly rental income from other units or rooms
+ * Landlord insurance grows with the insurance escalation rate; rent grows with the rental's rent growth.
+ * Qualifying income follows the lender convention of crediting a share (75%) of gross rent, which
+ * stands in for vacancy and upkeep, rather than the borrower's own vacancy and fee estimates.
+ * @param {Object} rental - Rental settings (see DEFAULT_RENTAL)
+ * @param {number} year - Projection year (1-based)
+ * @param {number|Array} insuranceEscalation - Annual landlord insurance increase (percentage)
+ * @returns {Object} Monthly {grossRent, vacancyLoss, collectedRent, managementFee, landlordInsurance,
+ *     netRentalIncome, qualifyingIncome}
+ */
+function calculateRentalIncome(rental, year = 1, insuranceEscalation = 0) {
+    const settings = { ...DEFAULT_RENTAL, ...rental };
+    if (settings.propertyType === 'single' || !(settings.monthlyRent > 0)) {
+        return {
+            grossRent: 0,
+            vacancyLoss: 0,
+            collectedRent: 0,
+            managementFee: 0,
+            landlordInsurance: 0,
+            netRentalIncome: 0,
+            qualifyingIncome: 0
+        };
+    }
+
+    const grossRent = escalateAmount(settings.monthlyRent, settings.rentGrowth, year);
+    const vacancyLoss = grossRent * settings.vacancyRate / 100;
+    const collectedRent = grossRent - vacancyLoss;
+    const managementFee = collectedRent * settings.managementFeeRate / 100;
+    const landlordInsurance = escalateAmount(settings.landlordInsurance || 0, insuranceEscalation, year);
+
+    return {
+        grossRent: grossRent,
+        vacancyLoss: vacancyLoss,
+        collectedRent: collectedRent,
+        managementFee: managementFee,
+        landlordInsurance: landlordInsurance,
+        netRentalIncome: collectedRent - managementFee - landlordInsurance,
+        qualifyingIncome: grossRent * settings.lenderCredit / 100
+    };
+}
+
+/**
+ * Convert a future (nominal) amount to today's dollars
+ * @param {number} amount - Nominal amount
+ * @param {number} inflationRate - Annual inflation rate (percentage)
+ * @param {number} years - Years from today
+ * @returns {number} Amount in today's dollars
+ */
+function toRealDollars(amount, inflationRate, years) {
+    return amount / Math.pow(1 + inflationRate / 100, years);
+}
+
+/**
+ * Restate yearly projection rows in today's dollars
+ * @param {Array} yearlyData - Rows with a 1-based `year` field
+ * @param {Array} fields - Names of the dollar fields to convert
+ * @param {number} inflationRate - Annual inflation rate (percentage); 0 leaves rows unchanged
+ * @returns {Array} Copies of the rows with the dollar fields deflated by each row's year
+ */
+function adjustForInflation(yearlyData, fields, inflationRate) {
+    if (!inflationRate) return yearlyData;
+
+    return yearlyData.map(row => {
+        const adjusted = { ...row };
+        fields.forEach(field => {
+            if (typeof row[field] === 'number') {
+                adjusted[field] = toRealDollars(row[field], inflationRate, row.year);
+            }
+        });
+        return adjusted;
+    });
+}
+
+/**
+ * Dollar fields in calculateEquityOverTime and calculateInvestmentGrowth rows
+ */
+const EQUITY_DOLLAR_FIELDS = ['homeValue', 'loanBalance', 'principalPaid', 'pmiPaid', 'equity', 'sellingCosts', 'capitalGainsTax', 'netProceeds'];
+const INVESTMENT_DOLLAR_FIELDS = ['invested', 'value', 'gains', 'afterTaxValue', 'taxable', 'traditional', 'roth'];
+
 /**
  * Calculate equity buildup over time
  * @param {number} purchasePrice - Home purchase price
  * @param {number} principal - Initial loan amount
  * @param {number} rate - Annual interest rate
  * @param {number} years - Loan term
- * @param {number} appreciationRate - Annual home appreciation rate (percentage)
+ * @param {number|Array} appreciationRate - Annual home appreciation rate (percentage), or one rate per year
+ * @param {Object} loanOptions - Optional {prepayments, arm, pmi, buydown} passed to the amortization schedule
+ * @param {number} projectionYears - Years to project (defaults to the loan term); the home keeps
+ *     appreciating with a zero balance after payoff
  * @returns {Array} Yearly equity projections
  */
-function calculateEquityOverTime(purchasePrice, principal, rate, years, appreciationRate) {
-    const schedule = generateAmortizationSchedule(principal, rate, years);
-    const equityData = [];
+function calculateEquityOverTime(purchasePrice, principal, rate, years, appreciationRate, loanOptions = {}, projectionYears = years) {
+    const schedule = generateAmortizationSchedule(principal, rate, years, loanOptions);
+    const equityData = [];
+
+    const downPayment = purchasePrice - principal;
+
+    let homeValue = purchasePrice;
+
+    for (let year = 1; year <= projectionYears; year++) {
+        const monthIndex = year * 12 - 1;
+
+        // Balance is zero once the schedule ends (loan term reached or paid off early)
+        const loanBalance = monthIndex < schedule.length ? schedule[monthIndex].balance : 0;
+        const pmiPaid = schedule.slice(monthIndex - 11, monthIndex + 1).reduce((sum, month) => sum + month.pmi, 0);
+
+        // Calculate appreciated home value
+        homeValue *= 1 + getRateForYear(appreciationRate, year) / 100;
+
+        // Calculate cumulative principal paid
+        const principalPaid = principal - loanBalance;
+
+        // Equity = down payment + principal paid + appreciation
+        const equity = downPayment + principalPaid + (homeValue - purchasePrice);
+
+        equityData.push({
+            year: year,
+            homeValue: homeValue,
+            loanBalance: loanBalance,
+            principalPaid: principalPaid,
+            pmiPaid: pmiPaid,
+            equity: equity
+        });
+    }
+
+    return equityData;
+}
+
+/**
+ * Default costs of selling a home, as percentages of the sale price (capital gains rate of the gain)
+ */
+const DEFAULT_SALE_COSTS = {
+    commissionRate: 5.5,
+    concessionsRate: 0,
+    transferTaxRate: 0.4,
+    capitalGainsRate: 15
+};
+
+/**
+ * Primary-residence capital gains exclusion by filing status
+ */
+const CAPITAL_GAINS_EXCLUSION = {
+    single: 250000,
+    married: 500000,
+    separate: 250000,
+    head: 250000
+};
+
+/**
+ * Calculate what the seller keeps after selling costs, paying off the loan and capital gains tax
+ * The exclusion needs two years of ownership; gains above it are taxed at capitalGainsRate
+ * @param {number} salePrice - Sale price (home value)
+ * @param {number} loanBalance - Loan payoff at sale
+ * @param {number} costBasis - Purchase price plus capital improvements
+ * @param {number} yearsOwned - Years between purchase and sale
+ * @param {Object} saleCosts - {commissionRate, concessionsRate, transferTaxRate, capitalGainsRate}
+ * @param {string} filingStatus - 'single', 'married', 'separate' or 'head'
+ * @returns {Object} {salePrice, commission, concessions, transferTax, sellingCosts, gain, exclusion,
+ *     taxableGain, capitalGainsTax, netProceeds}
+ */
+function calculateSaleProceeds(salePrice, loanBalance, costBasis, yearsOwned, saleCosts = DEFAULT_SALE_COSTS, filingStatus = 'single') {
+    const costs = { ...DEFAULT_SALE_COSTS, ...saleCosts };
+    const commission = salePrice * costs.commissionRate / 100;
+    const concessions = salePrice * costs.concessionsRate / 100;
+    const transferTax = salePrice * costs.transferTaxRate / 100;
+    const sellingCosts = commission + concessions + transferTax;
+
+    // Selling costs reduce the amount realized
+    const gain = salePrice - sellingCosts - costBasis;
+    const exclusion = yearsOwned >= 2 ? (CAPITAL_GAINS_EXCLUSION[filingStatus] || CAPITAL_GAINS_EXCLUSION.single) : 0;
+    const taxableGain = Math.max(0, gain - exclusion);
+    const capitalGainsTax = taxableGain * costs.capitalGainsRate / 100;
+
+    return {
+        salePrice: salePrice,
+        commission: commission,
+        concessions: concessions,
+        transferTax: transferTax,
+        sellingCosts: sellingCosts,
+        gain: gain,
+        exclusion: exclusion,
+        taxableGain: taxableGain,
+        capitalGainsTax: capitalGainsTax,
+        netProceeds: salePrice - sellingCosts - loanBalance - capitalGainsTax
+    };
+}
+
+/**
+ * Add net proceeds if sold at the end of each year to equity rows
+ * @param {Array} equityData - Rows from calculateEquityOverTime
+ * @param {number} costBasis - Purchase price plus capital improvements
+ * @param {Object} saleCosts - See calculateSaleProceeds
+ * @param {string} filingStatus - Filing status for the exclusion
+ * @returns {Array} Copies of the rows with sellingCosts, capitalGainsTax and netProceeds
+ */
+function addSaleProceeds(equityData, costBasis, saleCosts = DEFAULT_SALE_COSTS, filingStatus = 'single') {
+    return equityData.map(row => {
+        const sale = calculateSaleProceeds(row.homeValue, row.loanBalance, costBasis, row.year, saleCosts, filingStatus);
+        return {
+            ...row,
+            sellingCosts: sale.sellingCosts,
+            capitalGainsTax: sale.capitalGainsTax,
+            netProceeds: sale.netProceeds
+        };
+    });
+}
+
+/**
+ * Calculate investment growth over time with monthly contributions
+ * @param {number} initialAmount - Initial investment amount
+ * @param {number|Array} monthlyContribution - Monthly contribution amount, or one amount per year
+ * @param {number|Array} annualReturn - Expected annual return (percentage), or one return per year
+ * @param {number} years - Investment period in years
+ * @returns {Array} Yearly investment value projections
+ */
+function calculateInvestmentGrowth(initialAmount, monthlyContribution, annualReturn, years) {
+    const investmentData = [];
+
+    let totalValue = initialAmount;
+    let totalInvested = initialAmount;
+
+    for (let year = 1; year <= years; year++) {
+        const contribution = Array.isArray(monthlyContribution)
+            ? (monthlyContribution[year - 1] || 0)
+            : monthlyContribution;
+        const monthlyRate = getRateForYear(annualReturn, year) / 100 / 12;
+
+        for (let month = 1; month <= 12; month++) {
+            // Add monthly contribution
+            totalValue += contribution;
+            totalInvested += contribution;
+
+            // Apply monthly return
+            totalValue *= (1 + monthlyRate);
+        }
+
+        const gains = totalValue - totalInvested;
+
+        investmentData.push({
+            year: year,
+            invested: totalInvested,
+            value: totalValue,
+            gains: gains
+        });
+    }
+
+    return investmentData;
+}
+
+/**
+ * Default investment account settings
+ * traditionalPercent and rothPercent split the current portfolio (the rest is taxable brokerage);
+ * contributionOrder sends after-tax savings to the Roth (up to rothLimit a year) before the taxable
+ * account, or skips the Roth with 'taxable-first'. Dividends in the taxable account are taxed each
+ * year; liquidation taxes gains in the taxable account and the whole traditional balance. Traditional
+ * withdrawals to cover spending also pay earlyWithdrawalPenalty (before age 59 1/2).
+ */
+const DEFAULT_INVESTMENT_ACCOUNTS = {
+    traditionalPercent: 0,
+    rothPercent: 0,
+    contributionOrder: 'roth-first',
+    rothLimit: 7000,
+    dividendYield: 1.5,
+    dividendTaxRate: 15,
+    capitalGainsRate: 15,
+    withdrawalTaxRate: 22,
+    earlyWithdrawalPenalty: 10
+};
+
+/**
+ * Split a starting balance across taxable, traditional and Roth accounts
+ * The taxable account starts with its balance as cost basis
+ * @returns {Object} {taxable, taxableBasis, traditional, roth}
+ */
+function createInvestmentAccounts(balance, settings = DEFAULT_INVESTMENT_ACCOUNTS) {
+    const amount = Math.max(0, balance);
+    const traditional = amount * (settings.traditionalPercent || 0) / 100;
+    const roth = amount * (settings.rothPercent || 0) / 100;
+    const taxable = Math.max(0, amount - traditional - roth);
+
+    return { taxable, taxableBasis: taxable, traditional, roth };
+}
+
+/**
+ * Total balance across all accounts (before liquidation taxes)
+ */
+function getInvestmentAccountsTotal(accounts) {
+    return accounts.taxable + accounts.traditional + accounts.roth;
+}
+
+/**
+ * Deposit into the taxable account (positive amount) or withdraw (negative amount)
+ * Withdrawals come from the taxable account first, then Roth, then traditional; basis is reduced in
+ * proportion to the taxable balance sold. Traditional withdrawals are grossed up so the amount is
+ * left after the withdrawal tax and early withdrawal penalty.
+ * @returns {Object} Updated accounts
+ */
+function adjustInvestmentAccounts(accounts, amount, settings = DEFAULT_INVESTMENT_ACCOUNTS) {
+    const result = { ...accounts };
 
-    const downPayment = purchasePrice - principal;
-    const monthlyAppreciation = appreciationRate / 100 / 12;
+    if (amount >= 0) {
+        result.taxable += amount;
+        result.taxableBasis += amount;
+        return result;
+    }
 
-    let homeValue = purchasePrice;
+    let remaining = -amount;
+    const fromTaxable = Math.min(remaining, result.taxable);
+    if (result.taxable > 0) {
+        result.taxableBasis *= 1 - fromTaxable / result.taxable;
+    }
+    result.taxable -= fromTaxable;
+    remaining -= fromTaxable;
 
-    for (let year = 1; year <= years; year++) {
-        const monthIndex = year * 12 - 1;
-        if (monthIndex >= schedule.length) break;
+    const fromRoth = Math.min(remaining, result.roth);
+    result.roth -= fromRoth;
+    remaining -= fromRoth;
 
-        const monthData = schedule[monthIndex];
-        const loanBalance = monthData.balance;
+    const traditionalTaxRate = Math.min(((settings.withdrawalTaxRate || 0) + (settings.earlyWithdrawalPenalty || 0)) / 100, 0.99);
+    result.traditional -= Math.min(remaining / (1 - traditionalTaxRate), result.traditional);
+    return result;
+}
 
-        // Calculate appreciated home value
-        homeValue = purchasePrice * Math.pow(1 + appreciationRate / 100, year);
+/**
+ * Grow the accounts through one year of monthly contributions
+ * Pre-tax contributions (401(k), HSA) go to the traditional account; after-tax savings follow the
+ * contribution order and the Roth limit. Taxable dividends are taxed monthly and the tax is paid
+ * from the account (dividend drag); the reinvested remainder adds to basis.
+ * @param {Object} accounts - {taxable, taxableBasis, traditional, roth}
+ * @param {number} monthlyContribution - After-tax savings per month
+ * @param {number} monthlyPreTaxContribution - Pre-tax contributions per month
+ * @param {number} annualReturn - Total annual return (percentage), including dividends
+ * @param {Object} settings - Investment account settings
+ * @returns {Object} Updated accounts
+ */
+function growInvestmentAccountsForYear(accounts, monthlyContribution, monthlyPreTaxContribution, annualReturn, settings = DEFAULT_INVESTMENT_ACCOUNTS) {
+    let result = { ...accounts };
+    const monthlyRate = annualReturn / 100 / 12;
+    const monthlyDividendYield = (settings.dividendYield || 0) / 100 / 12;
+    let rothRoom = settings.contributionOrder === 'taxable-first' ? 0 : (settings.rothLimit || 0);
 
-        // Calculate cumulative principal paid
-        const principalPaid = principal - loanBalance;
+    for (let month = 1; month <= 12; month++) {
+        // A negative contribution (spending more than saved) is withdrawn
+        if (monthlyContribution < 0) {
+            result = adjustInvestmentAccounts(result, monthlyContribution, settings);
+        } else {
+            const toRoth = Math.min(monthlyContribution, rothRoom);
+            rothRoom -= toRoth;
+            result.roth += toRoth;
+            result.taxable += monthlyContribution - toRoth;
+            result.taxableBasis += monthlyContribution - toRoth;
+        }
+        result.traditional += monthlyPreTaxContribution;
 
-        // Equity = down payment + principal paid + appreciation
-        const equity = downPayment + principalPaid + (homeValue - purchasePrice);
+        const dividendTax = result.taxable * monthlyDividendYield * (settings.dividendTaxRate || 0) / 100;
+        const reinvestedDividends = result.taxable * monthlyDividendYield - dividendTax;
 
-        equityData.push({
-            year: year,
-            homeValue: homeValue,
-            loanBalance: loanBalance,
-            principalPaid: principalPaid,
-            equity: equity
-        });
+        result.taxable = result.taxable * (1 + monthlyRate) - dividendTax;
+        result.taxableBasis += reinvestedDividends;
+        result.traditional *= (1 + monthlyRate);
+        result.roth *= (1 + monthlyRate);
     }
 
-    return equityData;
+    return result;
 }
 
 /**
- * Calculate investment growth over time with monthly contributions
- * @param {number} initialAmount - Initial investment amount
- * @param {number} monthlyContribution - Monthly contribution amount
- * @param {number} annualReturn - Expected annual return (percentage)
- * @param {number} years - Investment period in years
- * @returns {Array} Yearly investment value projections
+ * Calculate what the accounts are worth after liquidation taxes
+ * @returns {Object} {capitalGainsTax, withdrawalTax, afterTaxValue}
  */
-function calculateInvestmentGrowth(initialAmount, monthlyContribution, annualReturn, years) {
-    const monthlyRate = annualReturn / 100 / 12;
-    const investmentData = [];
+function calculateAccountsAfterTax(accounts, settings = DEFAULT_INVESTMENT_ACCOUNTS) {
+    const capitalGainsTax = Math.max(0, accounts.taxable - accounts.taxableBasis) * (settings.capitalGainsRate || 0) / 100;
+    const withdrawalTax = accounts.traditional * (settings.withdrawalTaxRate || 0) / 100;
 
-    let totalValue = initialAmount;
-    let totalInvested = initialAmount;
+    return {
+        capitalGainsTax: capitalGainsTax,
+        withdrawalTax: withdrawalTax,
+        afterTaxValue: getInvestmentAccountsTotal(accounts) - capitalGainsTax - withdrawalTax
+    };
+}
 
-    for (let year = 1; year <= years; year++) {
-        for (let month = 1; month <= 12; month++) {
-            // Add monthly contribution
-            totalValue += monthlyContribution;
-            totalInvested += monthlyContribution;
+/**
+ * Calculate growth of taxable, traditional and Roth accounts with monthly contributions
+ * @param {Object} startingAccounts - {taxable, taxableBasis, traditional, roth}
+ * @param {number|Array} monthlyContribution - After-tax savings per month, or one amount per year
+ * @param {number|Array} monthlyPreTaxContribution - Pre-tax contributions per month, or one amount per year
+ * @param {number|Array} annualReturn - Expected annual return (percentage), or one return per year
+ * @param {number} years - Investment period in years
+ * @param {Object} settings - Investment account settings
+ * @returns {Array} Yearly rows {year, taxable, traditional, roth, value, afterTaxValue}
+ */
+function calculateAccountGrowth(startingAccounts, monthlyContribution, monthlyPreTaxContribution, annualReturn, years, settings = DEFAULT_INVESTMENT_ACCOUNTS) {
+    const rows = [];
+    let accounts = startingAccounts;
 
-            // Apply monthly return
-            totalValue *= (1 + monthlyRate);
-        }
+    for (let year = 1; year <= years; year++) {
+        const contribution = Array.isArray(monthlyContribution) ? (monthlyContribution[year - 1] || 0) : monthlyContribution;
+        const preTaxContribution = Array.isArray(monthlyPreTaxContribution) ? (monthlyPreTaxContribution[year - 1] || 0) : monthlyPreTaxContribution;
 
-        const gains = totalValue - totalInvested;
+        accounts = growInvestmentAccountsForYear(accounts, contribution, preTaxContribution, getRateForYear(annualReturn, year), settings);
 
-        investmentData.push({
+        rows.push({
             year: year,
-            invested: totalInvested,
-            value: totalValue,
-            gains: gains
+            taxable: accounts.taxable,
+            traditional: accounts.traditional,
+            roth: accounts.roth,
+            value: getInvestmentAccountsTotal(accounts),
+            afterTaxValue: calculateAccountsAfterTax(accounts, settings).afterTaxValue
         });
     }
 
-    return investmentData;
+    return rows;
 }
 
 /**
@@ -226,8 +1393,9 @@ function compareInvestmentVsEquity(portfolioAmount, equitySchedule, investmentRe
 
 /**
  * Compare buying expensive house vs. cheaper house + investing savings
- * @param {Object} expensiveHouse - {price, downPayment, rate, term, taxes, insurance, hoa}
- * @param {Object} cheaperHouse - {price, downPayment, rate, term, taxes, insurance, hoa}
+ * PMI is priced by LTV and credit score and drops off at 78% of the original value
+ * @param {Object} expensiveHouse - {price, downPayment, rate, term, taxes, insurance, hoa, creditScore}
+ * @param {Object} cheaperHouse - {price, downPayment, rate, term, taxes, insurance, hoa, creditScore}
  * @param {number} investmentReturn - Expected annual investment return (percentage)
  * @param {number} appreciationRate - Expected annual home appreciation (percentage)
  * @param {number} years - Analysis timeframe
@@ -243,8 +1411,8 @@ function compareHousePrices(expensiveHouse, cheaperHouse, investmentReturn, appr
     const cheaperPayment = calculateMonthlyPayment(cheaperLoan, cheaperHouse.rate, cheaperHouse.term);
 
     // Calculate PMI for each
-    const expensivePMI = calculatePMI(expensiveLoan, expensiveHouse.price, expensiveHouse.downPayment);
-    const cheaperPMI = calculatePMI(cheaperLoan, cheaperHouse.price, cheaperHouse.downPayment);
+    const expensivePMI = calculatePMI(expensiveLoan, expensiveHouse.price, expensiveHouse.downPayment, expensiveHouse.creditScore);
+    const cheaperPMI = calculatePMI(cheaperLoan, cheaperHouse.price, cheaperHouse.downPayment, cheaperHouse.creditScore);
 
     // Total monthly costs
     const expensiveMonthly = expensivePayment + expensivePMI + expensiveHouse.taxes + expensiveHouse.insurance + expensiveHouse.hoa;
@@ -253,13 +1421,26 @@ function compareHousePrices(expensiveHouse, cheaperHouse, investmentReturn, appr
     // Monthly savings from cheaper house
     const monthlySavings = expensiveMonthly - cheaperMonthly;
 
-    // Calculate equity buildup for each house
-    const expensiveEquity = calculateEquityOverTime(expensiveHouse.price, expensiveLoan, expensiveHouse.rate, Math.min(years, expensiveHouse.term), appreciationRate);
-    const cheaperEquity = calculateEquityOverTime(cheaperHouse.price, cheaperLoan, cheaperHouse.rate, Math.min(years, cheaperHouse.term), appreciationRate);
+    // Calculate equity buildup for each house over the full timeframe, with the PMI paid each year
+    const expensiveEquity = calculateEquityOverTime(expensiveHouse.price, expensiveLoan, expensiveHouse.rate, expensiveHouse.term, appreciationRate,
+        { pmi: { monthlyPMI: expensivePMI, originalValue: expensiveHouse.price, cancellation: 'automatic' } }, years);
+    const cheaperEquity = calculateEquityOverTime(cheaperHouse.price, cheaperLoan, cheaperHouse.rate, cheaperHouse.term, appreciationRate,
+        { pmi: { monthlyPMI: cheaperPMI, originalValue: cheaperHouse.price, cancellation: 'automatic' } }, years);
+
+    // Savings each year: PMI stops once it drops off and P&I once each loan is paid off, so the
+    // savings shrink (or reverse) once the expensive house's payment is freed up first
+    const monthlySavingsByYear = Array.from({ length: years }, (_, index) => {
+        const year = index + 1;
+        const expensiveCost = expensiveMonthly - expensivePMI + expensiveEquity[index].pmiPaid / 12 -
+            (year > expensiveHouse.term ? expensivePayment : 0);
+        const cheaperCost = cheaperMonthly - cheaperPMI + cheaperEquity[index].pmiPaid / 12 -
+            (year > cheaperHouse.term ? cheaperPayment : 0);
+        return expensiveCost - cheaperCost;
+    });
 
     // Calculate investment growth from savings
     const downPaymentDiff = (expensiveHouse.price * expensiveHouse.downPayment / 100) - (cheaperHouse.price * cheaperHouse.downPayment / 100);
-    const investmentFromSavings = calculateInvestmentGrowth(downPaymentDiff, monthlySavings, investmentReturn, years);
+    const investmentFromSavings = calculateInvestmentGrowth(downPaymentDiff, monthlySavingsByYear, investmentReturn, years);
 
     // Combine cheaper house equity + investments
     const combinedWealth = [];
@@ -294,6 +1475,7 @@ function compareHousePrices(expensiveHouse, cheaperHouse, investmentReturn, appr
         expensiveHouseWealth: expensiveEquity,
         cheaperHouseWealth: combinedWealth,
         monthlySavings: monthlySavings,
+        monthlySavingsByYear: monthlySavingsByYear,
         breakEvenYear: breakEvenYear,
         winner: finalCheaperWealth > finalExpensiveWealth ? 'cheaper' : 'expensive',
         finalExpensiveWealth: finalExpensiveWealth,
@@ -302,14 +1484,410 @@ function compareHousePrices(expensiveHouse, cheaperHouse, investmentReturn, appr
     };
 }
 
+/**
+ * Federal income tax brackets (2024) by filing status: [bracket start, marginal rate %]
+ */
+const FEDERAL_TAX_BRACKETS = {
+    single: [[0, 10], [11600, 12], [47150, 22], [100525, 24], [191950, 32], [243725, 35], [609350, 37]],
+    married: [[0, 10], [23200, 12], [94300, 22], [201050, 24], [383900, 32], [487450, 35], [731200, 37]],
+    separate: [[0, 10], [11600, 12], [47150, 22], [100525, 24], [191950, 32], [243725, 35], [365600, 37]],
+    head: [[0, 10], [16550, 12], [63100, 22], [100500, 24], [191950, 32], [243700, 35], [609350, 37]]
+};
+
+/**
+ * Federal standard deduction (2024) by filing status
+ */
+const STANDARD_DEDUCTION = {
+    single: 14600,
+    married: 29200,
+    separate: 14600,
+    head: 21900
+};
+
+/**
+ * Payroll (FICA) taxes (2024): Social Security up to the wage base, Medicare on all wages,
+ * plus the additional Medicare tax above a threshold by filing status
+ */
+const FICA = {
+    socialSecurityRate: 6.2,
+    socialSecurityWageBase: 168600,
+    medicareRate: 1.45,
+    additionalMedicareRate: 0.9,
+    additionalMedicareThreshold: { single: 200000, married: 250000, separate: 125000, head: 200000 }
+};
+
+/**
+ * Annual pre-tax contribution limits (2024): 401(k) employee deferral and family HSA
+ */
+const PRE_TAX_LIMITS = {
+    retirement: 23000,
+    hsa: 8300
+};
+
+/**
+ * Default tax profile for scenarios saved before the tax model
+ * state: {type: 'flat', rate} or {type: 'brackets', brackets: [[start, rate %], ...]}
+ */
+const DEFAULT_TAX_PROFILE = {
+    filingStatus: 'single',
+    retirementContributionPercent: 0,
+    hsaContribution: 0,
+    state: { type: 'flat', rate: 0, brackets: [] }
+};
+
+/**
+ * Apply progressive brackets to taxable income
+ * @param {number} taxableIncome - Income subject to the brackets
+ * @param {Array} brackets - [[bracket start, rate %], ...] in ascending order
+ * @param {number} indexFactor - Multiplier applied to bracket starts (inflation indexing)
+ * @returns {Object} {tax, marginalRate}
+ */
+function calculateBracketTax(taxableIncome, brackets, indexFactor = 1) {
+    let tax = 0;
+    let marginalRate = 0;
+
+    brackets.forEach(([start, rate], index) => {
+        const bracketStart = start * indexFactor;
+        const bracketEnd = index + 1 < brackets.length ? brackets[index + 1][0] * indexFactor : Infinity;
+        if (taxableIncome > bracketStart) {
+            tax += (Math.min(taxableIncome, bracketEnd) - bracketStart) * rate / 100;
+            marginalRate = rate;
+        }
+    });
+
+    return { tax, marginalRate };
+}
+
+/**
+ * Calculate income and payroll taxes and take-home pay for a year of wages
+ * 401(k) deferrals reduce income tax but not FICA; payroll HSA contributions reduce both.
+ * Other income (net rent) is taxed as ordinary income without payroll tax; a loss is not deducted
+ * but still reduces take-home pay.
+ * @param {number} grossIncome - Annual gross wages
+ * @param {Object} taxProfile - {filingStatus, retirementContributionPercent, hsaContribution, state}
+ * @param {number} yearsFromNow - Years ahead, for indexing brackets and limits
+ * @param {number} indexRate - Annual bracket indexing rate (percentage), typically inflation
+ * @param {number|null} deduction - Federal deduction to use instead of the standard deduction (itemizing)
+ * @param {number} otherIncome - Annual non-wage income, e.g. net rental income
+ * @returns {Object} {grossIncome, otherIncome, retirementContribution, hsaContribution, preTaxContributions,
+ *     federalTaxableIncome, federalTax, socialSecurity, medicare, stateTax, totalTax, netIncome,
+ *     effectiveRate, marginalRate}
+ */
+function calculateIncomeTaxes(grossIncome, taxProfile = DEFAULT_TAX_PROFILE, yearsFromNow = 0, indexRate = 0, deduction = null, otherIncome = 0) {
+    const profile = { ...DEFAULT_TAX_PROFILE, ...taxProfile };
+    const filingStatus = FEDERAL_TAX_BRACKETS[profile.filingStatus] ? profile.filingStatus : 'single';
+    const indexFactor = Math.pow(1 + indexRate / 100, yearsFromNow);
+    const income = Math.max(0, grossIncome);
+    const taxableOtherIncome = Math.max(0, otherIncome);
+
+    // Pre-tax contributions, capped at the (indexed) annual limits
+    const retirementContribution = Math.min(income * (profile.retirementContributionPercent || 0) / 100, PRE_TAX_LIMITS.retirement * indexFactor);
+    const hsaContribution = Math.min(profile.hsaContribution || 0, PRE_TAX_LIMITS.hsa * indexFactor, income - retirementContribution);
+    const preTaxContributions = retirementContribution + hsaContribution;
+
+    // Federal income tax after the standard (or itemized) deduction
+    const federalDeduction = deduction ?? STANDARD_DEDUCTION[filingStatus] * indexFactor;
+    const federalTaxableIncome = Math.max(0, income + taxableOtherIncome - preTaxContributions - federalDeduction);
+    const federal = calculateBracketTax(federalTaxableIncome, FEDERAL_TAX_BRACKETS[filingStatus], indexFactor);
+
+    // Payroll taxes on wages less HSA contributions
+    const ficaWages = income - hsaContribution;
+    const socialSecurity = Math.min(ficaWages, FICA.socialSecurityWageBase * indexFactor) * FICA.socialSecurityRate / 100;
+    const medicare = ficaWages * FICA.medicareRate / 100 +
+        Math.max(0, ficaWages - FICA.additionalMedicareThreshold[filingStatus]) * FICA.additionalMedicareRate / 100;
+
+    // State income tax on wages less pre-tax contributions, plus other income
+    const state = profile.state || DEFAULT_TAX_PROFILE.state;
+    const stateTaxableIncome = Math.max(0, income + taxableOtherIncome - preTaxContributions);
+    const stateTax = state.type === 'brackets' && state.brackets && state.brackets.length > 0
+        ? calculateBracketTax(stateTaxableIncome, state.brackets, indexFactor).tax
+        : stateTaxableIncome * (state.rate || 0) / 100;
+
+    const totalTax = federal.tax + socialSecurity + medicare + stateTax;
+
+    return {
+        grossIncome: income,
+        otherIncome: otherIncome,
+        retirementContribution: retirementContribution,
+        hsaContribution: hsaContribution,
+        preTaxContributions: preTaxContributions,
+        federalTaxableIncome: federalTaxableIncome,
+        federalTax: federal.tax,
+        socialSecurity: socialSecurity,
+        medicare: medicare,
+        stateTax: stateTax,
+        totalTax: totalTax,
+        netIncome: income + otherIncome - preTaxContributions - totalTax,
+        effectiveRate: income > 0 ? totalTax / income * 100 : 0,
+        marginalRate: federal.marginalRate
+    };
+}
+
+/**
+ * Cap on the state and local tax (SALT) deduction: state income tax plus property tax
+ */
+const SALT_CAP = {
+    single: 10000,
+    married: 10000,
+    separate: 5000,
+    head: 10000
+};
+
+/**
+ * Acquisition debt on which mortgage interest is deductible (loans after 2017)
+ */
+const MORTGAGE_INTEREST_LOAN_LIMIT = {
+    single: 750000,
+    married: 750000,
+    separate: 375000,
+    head: 750000
+};
+
+/**
+ * Calculate the federal tax saved by itemizing homeownership deductions for a year
+ * Itemized deductions are mortgage interest (prorated when the average balance exceeds the loan limit)
+ * plus SALT (state income tax and property tax, capped). A renter deducts the larger of the standard
+ * deduction and capped state income tax; the owner saves only what itemizing adds beyond that.
+ * The SALT cap and loan limit are fixed in dollars; the standard deduction is indexed.
+ * @param {number} grossIncome - Annual gross wages
+ * @param {Object} taxProfile - Tax profile (see calculateIncomeTaxes)
+ * @param {Object} homeCosts - {mortgageInterest, averageLoanBalance, propertyTax} for the year
+ * @param {number} yearsFromNow - Years ahead, for indexing
+ * @param {number} indexRate - Annual indexing rate (percentage)
+ * @param {number} otherIncome - Annual non-wage income, e.g. net rental income (see calculateIncomeTaxes)
+ * @returns {Object} {standardDeduction, mortgageInterestDeduction, saltDeduction, itemizedDeductions,
+ *     itemizes, taxSavings}
+ */
+function calculateHomeownerTaxSavings(grossIncome, taxProfile, homeCosts, yearsFromNow = 0, indexRate = 0, otherIncome = 0) {
+    const profile = { ...DEFAULT_TAX_PROFILE, ...taxProfile };
+    const filingStatus = FEDERAL_TAX_BRACKETS[profile.filingStatus] ? profile.filingStatus : 'single';
+    const standardDeduction = STANDARD_DEDUCTION[filingStatus] * Math.pow(1 + indexRate / 100, yearsFromNow);
+    const taxes = calculateIncomeTaxes(grossIncome, profile, yearsFromNow, indexRate, null, otherIncome);
+
+    // Interest on the portion of the balance above the limit is not deductible
+    const loanLimit = MORTGAGE_INTEREST_LOAN_LIMIT[filingStatus];
+    const averageBalance = homeCosts.averageLoanBalance || 0;
+    const deductibleShare = averageBalance > loanLimit ? loanLimit / averageBalance : 1;
+    const mortgageInterestDeduction = (homeCosts.mortgageInterest || 0) * deductibleShare;
+
+    const saltCap = SALT_CAP[filingStatus];
+    const saltDeduction = Math.min(saltCap, taxes.stateTax + (homeCosts.propertyTax || 0));
+    const itemizedDeductions = mortgageInterestDeduction + saltDeduction;
+
+    // Deduction without the home, for comparison
+    const baseDeduction = Math.max(standardDeduction, Math.min(saltCap, taxes.stateTax));
+    const itemizes = itemizedDeductions > baseDeduction;
+
+    let taxSavings = 0;
+    if (itemizes) {
+        const baseTax = calculateIncomeTaxes(grossIncome, profile, yearsFromNow, indexRate, baseDeduction, otherIncome).federalTax;
+        const ownerTax = calculateIncomeTaxes(grossIncome, profile, yearsFromNow, indexRate, itemizedDeductions, otherIncome).federalTax;
+        taxSavings = baseTax - ownerTax;
+    }
+
+    return {
+        standardDeduction: standardDeduction,
+        mortgageInterestDeduction: mortgageInterestDeduction,
+        saltDeduction: saltDeduction,
+        itemizedDeductions: itemizedDeductions,
+        itemizes: itemizes,
+        taxSavings: taxSavings
+    };
+}
+
+/**
+ * Default Monte Carlo assumptions
+ * Volatilities are annual standard deviations in percentage points; correlation links
+ * investment returns and home appreciation; indexVolatility is the yearly standard
+ * deviation of ARM index moves
+ */
+const DEFAULT_SIMULATION = {
+    paths: 1000,
+    distribution: 'normal',
+    returnVolatility: 15,
+    appreciationVolatility: 5,
+    correlation: 0.2,
+    indexVolatility: 0.75,
+    seed: 1
+};
+
+/**
+ * Longest stretch (milliseconds) a Monte Carlo simulation runs before yielding to the browser
+ */
+const SIMULATION_CHUNK_MS = 50;
+
+/**
+ * Create a seeded uniform random generator (mulberry32) so simulations are repeatable
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning values in [0, 1)
+ */
+function createRandomGenerator(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw a standard normal value (Box-Muller)
+ * @param {Function} random - Uniform random generator
+ * @returns {number} Standard normal draw
+ */
+function drawStandardNormal(random) {
+    let u = 0;
+    while (u === 0) u = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Turn a standard normal draw into an annual rate
+ * 'normal' draws the rate itself; 'lognormal' draws the growth factor with the same mean
+ * and volatility, which skews outcomes like real markets and never loses more than 100%
+ * @param {number} z - Standard normal draw
+ * @param {number} mean - Expected annual rate (percentage)
+ * @param {number} volatility - Annual standard deviation (percentage points)
+ * @param {string} distribution - 'normal' or 'lognormal'
+ * @returns {number} Annual rate (percentage)
+ */
+function drawAnnualRate(z, mean, volatility, distribution) {
+    if (distribution === 'lognormal') {
+        const growth = 1 + mean / 100;
+        const sigmaSquared = Math.log(1 + Math.pow(volatility / 100 / growth, 2));
+        const mu = Math.log(growth) - sigmaSquared / 2;
+        return (Math.exp(mu + Math.sqrt(sigmaSquared) * z) - 1) * 100;
+    }
+    return Math.max(-100, mean + volatility * z);
+}
+
+/**
+ * Draw one market path of yearly investment returns, home appreciation and ARM index moves
+ * Returns and appreciation are correlated; index moves are drawn independently
+ * @param {number} years - Years to draw
+ * @param {Object} assumptions - {investmentReturn, appreciationRate, returnVolatility,
+ *     appreciationVolatility, correlation, indexVolatility, distribution}
+ * @param {Function} random - Uniform random generator
+ * @returns {Object} {investmentReturns, appreciationRates, indexShocks} with one value per year
+ */
+function generateMarketPath(years, assumptions, random) {
+    const correlation = Math.max(-1, Math.min(1, assumptions.correlation || 0));
+    const independentWeight = Math.sqrt(1 - correlation * correlation);
+    const path = { investmentReturns: [], appreciationRates: [], indexShocks: [] };
+
+    for (let year = 1; year <= years; year++) {
+        const returnShock = drawStandardNormal(random);
+        const appreciationShock = correlation * returnShock + independentWeight * drawStandardNormal(random);
+
+        path.investmentReturns.push(drawAnnualRate(returnShock, assumptions.investmentReturn, assumptions.returnVolatility, assumptions.distribution));
+        path.appreciationRates.push(drawAnnualRate(appreciationShock, assumptions.appreciationRate, assumptions.appreciationVolatility, assumptions.distribution));
+        path.indexShocks.push((assumptions.indexVolatility || 0) * drawStandardNormal(random));
+    }
+
+    return path;
+}
+
+/**
+ * Get a percentile of sorted values, interpolating between ranks
+ * @param {Array} sortedValues - Values in ascending order
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} Percentile value
+ */
+function calculatePercentile(sortedValues, percentile) {
+    if (sortedValues.length === 0) return 0;
+
+    const rank = (sortedValues.length - 1) * percentile / 100;
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+}
+
+/**
+ * Run a Monte Carlo simulation over random market paths
+ * @param {Function} projectPath - Called with each market path; returns named yearly series,
+ *     e.g. {buy: [...], rent: [...]}, each with one value per year
+ * @param {number} years - Years per path
+ * @param {Object} assumptions - Expected investmentReturn and appreciationRate, plus any
+ *     DEFAULT_SIMULATION overrides
+ * @param {Function} onProgress - Optional, called with the share of paths done (0-1) each time
+ *     the simulation yields to the browser
+ * @returns {Promise<Object>} {paths, bands: {name: {p10, p50, p90}}, finalValues: {name: [...]}};
+ *     final values are in path order so series can be compared path by path
+ */
+async function runMonteCarloSimulation(projectPath, years, assumptions, onProgress = null) {
+    const settings = { ...DEFAULT_SIMULATION, ...assumptions };
+    const random = createRandomGenerator(settings.seed);
+    const runsBySeries = {};
+    let chunkStart = Date.now();
+
+    for (let i = 0; i < settings.paths; i++) {
+        // Paths run in short chunks so the page stays responsive during long simulations
+        if (Date.now() - chunkStart >= SIMULATION_CHUNK_MS) {
+            if (onProgress) onProgress(i / settings.paths);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            chunkStart = Date.now();
+        }
+
+        const series = projectPath(generateMarketPath(years, settings, random));
+        Object.keys(series).forEach(name => {
+            if (!runsBySeries[name]) runsBySeries[name] = [];
+            runsBySeries[name].push(series[name]);
+        });
+    }
+
+    const bands = {};
+    const finalValues = {};
+    Object.keys(runsBySeries).forEach(name => {
+        const runs = runsBySeries[name];
+        bands[name] = { p10: [], p50: [], p90: [] };
+
+        for (let year = 0; year < years; year++) {
+            const values = runs.map(run => run[year] || 0).sort((a, b) => a - b);
+            bands[name].p10.push(calculatePercentile(values, 10));
+            bands[name].p50.push(calculatePercentile(values, 50));
+            bands[name].p90.push(calculatePercentile(values, 90));
+        }
+
+        finalValues[name] = runs.map(run => run[years - 1] || 0);
+    });
+
+    return {
+        paths: settings.paths,
+        bands: bands,
+        finalValues: finalValues
+    };
+}
+
+/**
+ * Share of simulated paths where the first series ends above the second
+ * @param {Array} valuesA - Final values by path
+ * @param {Array} valuesB - Final values by path (same order)
+ * @returns {number} Probability (0-1)
+ */
+function calculateProbabilityGreater(valuesA, valuesB) {
+    if (valuesA.length === 0) return 0;
+    return valuesA.filter((value, i) => value > valuesB[i]).length / valuesA.length;
+}
+
 /**
  * Calculate affordability ratios
  * @param {number} monthlyPayment - Total monthly housing payment
  * @param {number} monthlyIncome - Gross monthly income
  * @param {number} otherDebtPayments - Other monthly debt payments
+ * @param {string} program - Loan program ('conventional', 'fha', 'va', 'usda') for DTI and down payment limits
+ * @param {number} downPaymentPercent - Optional down payment as percentage, checked against the program minimum
+ * @param {number} rentalIncome - Monthly qualifying rental income (see calculateRentalIncome)
  * @returns {Object} Affordability metrics
  */
-function calculateAffordabilityRatios(monthlyPayment, monthlyIncome, otherDebtPayments) {
+function calculateAffordabilityRatios(monthlyPayment, monthlyIncome, otherDebtPayments, program = 'conventional', downPaymentPercent = null, rentalIncome = 0) {
+    const programRules = LOAN_PROGRAMS[program] || LOAN_PROGRAMS.conventional;
+    const limits = programRules.dtiLimits;
+
+    // Lender-credited rent from other units counts as income
+    monthlyIncome += rentalIncome;
+
     // Front-end ratio (housing ratio): Should be <= 28%
     const housingRatio = (monthlyPayment / monthlyIncome) * 100;
 
@@ -317,6 +1895,11 @@ function calculateAffordabilityRatios(monthlyPayment, monthlyIncome, otherDebtPa
     const totalDebt = monthlyPayment + otherDebtPayments;
     const dtiRatio = (totalDebt / monthlyIncome) * 100;
 
+    // Program limits: government programs cap DTI and require a minimum down payment
+    const withinHousingLimit = limits.housing === null || housingRatio <= limits.housing;
+    const withinDTILimit = dtiRatio <= limits.total;
+    const meetsDownPayment = downPaymentPercent === null || downPaymentPercent >= programRules.minDownPayment;
+
     // Determine status
     let status = 'excellent';
     if (housingRatio > 40 || dtiRatio > 43) {
@@ -326,51 +1909,366 @@ function calculateAffordabilityRatios(monthlyPayment, monthlyIncome, otherDebtPa
     } else if (housingRatio > 28 || dtiRatio > 30) {
         status = 'good';
     }
+    if (!meetsDownPayment || (program !== 'conventional' && !(withinHousingLimit && withinDTILimit))) {
+        status = 'warning';
+    }
 
     return {
         housingRatio: housingRatio,
         dtiRatio: dtiRatio,
-        withinGuidelines: housingRatio <= 28 && dtiRatio <= 36,
+        program: LOAN_PROGRAMS[program] ? program : 'conventional',
+        housingLimit: limits.housing,
+        dtiLimit: limits.total,
+        minDownPayment: programRules.minDownPayment,
+        meetsDownPayment: meetsDownPayment,
+        withinGuidelines: withinHousingLimit && withinDTILimit && meetsDownPayment,
         status: status
     };
 }
 
+/**
+ * VA residual income requirements (monthly $) by region and family size 1-5
+ * Families over 5 add additionalMember per person; loans under smallLoanLimit use the lower table
+ */
+const VA_RESIDUAL_INCOME = {
+    smallLoanLimit: 80000,
+    standard: {
+        northeast: [450, 755, 909, 1025, 1062],
+        midwest: [441, 738, 889, 1003, 1039],
+        south: [441, 738, 889, 1003, 1039],
+        west: [491, 823, 990, 1117, 1158]
+    },
+    small: {
+        northeast: [390, 654, 788, 888, 921],
+        midwest: [382, 641, 772, 868, 902],
+        south: [382, 641, 772, 868, 902],
+        west: [425, 713, 859, 967, 1004]
+    },
+    additionalMember: { standard: 80, small: 75 }
+};
+
+/**
+ * Share of gross income assumed to go to income and payroll taxes when estimating residual income
+ */
+const ESTIMATED_INCOME_TAX_RATE = 22;
+
+/**
+ * Lender qualification profiles
+ * tiers: ratio limits (percentages; housing null = no front-end limit), each usable with at least
+ *     `factors` compensating factors
+ * compensatingFactors: thresholds that count as a factor {creditScore, reserveMonths, maxLtv, residualIncome}
+ * residualIncome: 'required' when VA residual income must be met
+ */
+const QUALIFICATION_PROFILES = {
+    conventional: {
+        label: 'Conventional',
+        tiers: [
+            { housing: 28, total: 36, factors: 0 },
+            { housing: null, total: 45, factors: 1 },
+            { housing: null, total: 50, factors: 2 }
+        ],
+        compensatingFactors: { creditScore: 720, reserveMonths: 6, maxLtv: 75 },
+        minDownPayment: 3,
+        minCreditScore: 620,
+        reserveMonths: 0
+    },
+    fha: {
+        label: 'FHA',
+        tiers: [
+            { housing: 31, total: 43, factors: 0 },
+            { housing: 37, total: 47, factors: 1 },
+            { housing: 40, total: 50, factors: 2 }
+        ],
+        compensatingFactors: { reserveMonths: 3, residualIncome: true },
+        minDownPayment: 3.5,
+        minCreditScore: 580,
+        reserveMonths: 0
+    },
+    va: {
+        label: 'VA',
+        tiers: [
+            { housing: null, total: 41, factors: 0 }
+        ],
+        compensatingFactors: {},
+        minDownPayment: 0,
+        minCreditScore: 620,
+        reserveMonths: 0,
+        residualIncome: 'required'
+    },
+    jumbo: {
+        label: 'Jumbo',
+        tiers: [
+            { housing: null, total: 43, factors: 0 }
+        ],
+        compensatingFactors: {},
+        minDownPayment: 10,
+        minCreditScore: 700,
+        reserveMonths: 6
+    }
+};
+
+/**
+ * Get the VA residual income requirement
+ * @param {number} loanAmount - Loan amount
+ * @param {string} region - 'northeast', 'midwest', 'south' or 'west'
+ * @param {number} familySize - People in the household
+ * @returns {number} Required monthly residual income
+ */
+function getVAResidualIncomeRequirement(loanAmount, region, familySize) {
+    const table = loanAmount < VA_RESIDUAL_INCOME.smallLoanLimit ? 'small' : 'standard';
+    const byFamilySize = VA_RESIDUAL_INCOME[table][region] || VA_RESIDUAL_INCOME[table].south;
+    const size = Math.max(1, Math.round(familySize) || 1);
+
+    if (size <= byFamilySize.length) {
+        return byFamilySize[size - 1];
+    }
+    return byFamilySize[byFamilySize.length - 1] + (size - byFamilySize.length) * VA_RESIDUAL_INCOME.additionalMember[table];
+}
+
+/**
+ * Build a qualification profile from a user-defined one
+ * @param {Object} custom - {label, housingLimit (null for none), dtiLimit, minDownPayment, minCreditScore, reserveMonths}
+ * @returns {Object} Profile in the QUALIFICATION_PROFILES shape
+ */
+function createCustomQualificationProfile(custom) {
+    return {
+        label: custom.label,
+        tiers: [
+            { housing: custom.housingLimit ?? null, total: custom.dtiLimit, factors: 0 }
+        ],
+        compensatingFactors: {},
+        minDownPayment: custom.minDownPayment || 0,
+        minCreditScore: custom.minCreditScore || 0,
+        reserveMonths: custom.reserveMonths || 0,
+        custom: true
+    };
+}
+
+/**
+ * Evaluate a borrower against a lender qualification profile
+ * @param {Object} profile - Profile from QUALIFICATION_PROFILES or createCustomQualificationProfile
+ * @param {Object} borrower - {monthlyIncome, housingPayment (PITI + HOA + mortgage insurance), otherDebts,
+ *     downPaymentPercent, loanAmount, creditScore, reserves ($ left after closing), monthlyUpkeep
+ *     (maintenance + utilities), monthlyTaxes (optional; estimated if omitted), region, familySize}
+ * @returns {Object} {label, qualified, housingRatio, dtiRatio, housingLimit, dtiLimit, compensatingFactors,
+ *     residualIncome, checks: [{label, passed, detail}], explanation}
+ */
+function evaluateQualification(profile, borrower) {
+    const monthlyIncome = borrower.monthlyIncome;
+    const housingRatio = monthlyIncome > 0 ? borrower.housingPayment / monthlyIncome * 100 : Infinity;
+    const dtiRatio = monthlyIncome > 0 ? (borrower.housingPayment + borrower.otherDebts) / monthlyIncome * 100 : Infinity;
+    const reserveMonths = borrower.housingPayment > 0 ? Math.max(0, borrower.reserves) / borrower.housingPayment : 0;
+    const ltv = 100 - borrower.downPaymentPercent;
+
+    // Residual income: what is left after taxes, housing, upkeep and other debts
+    const monthlyTaxes = borrower.monthlyTaxes ?? monthlyIncome * ESTIMATED_INCOME_TAX_RATE / 100;
+    const residual = monthlyIncome - monthlyTaxes - borrower.housingPayment - (borrower.monthlyUpkeep || 0) - borrower.otherDebts;
+    const residualRequired = getVAResidualIncomeRequirement(borrower.loanAmount, borrower.region, borrower.familySize);
+
+    // Compensating factors met
+    const thresholds = profile.compensatingFactors || {};
+    const factors = [];
+    if (thresholds.creditScore && borrower.creditScore >= thresholds.creditScore) {
+        factors.push(`credit score ${borrower.creditScore}`);
+    }
+    if (thresholds.reserveMonths && reserveMonths >= thresholds.reserveMonths) {
+        factors.push(`${reserveMonths.toFixed(1)} months of reserves`);
+    }
+    if (thresholds.maxLtv && ltv <= thresholds.maxLtv) {
+        factors.push(`${ltv.toFixed(0)}% LTV`);
+    }
+    if (thresholds.residualIncome && residual >= residualRequired) {
+        factors.push('residual income above the VA table');
+    }
+
+    // Most generous tier the compensating factors unlock
+    const availableTiers = profile.tiers.filter(tier => tier.factors <= factors.length);
+    const passingTier = availableTiers.find(tier =>
+        (tier.housing === null || housingRatio <= tier.housing) && dtiRatio <= tier.total
+    );
+    const tier = passingTier || availableTiers[availableTiers.length - 1];
+
+    const checks = [];
+    checks.push({
+        label: 'Debt ratios',
+        passed: Boolean(passingTier),
+        detail: `${tier.housing === null ? '' : `Housing ${housingRatio.toFixed(1)}% of ${tier.housing}% • `}` +
+            `DTI ${dtiRatio.toFixed(1)}% of ${tier.total}%` +
+            (tier.factors > 0 ? ` (with ${tier.factors} compensating factor${tier.factors > 1 ? 's' : ''})` : '')
+    });
+
+    if (profile.minDownPayment > 0) {
+        checks.push({
+            label: 'Down payment',
+            passed: borrower.downPaymentPercent >= profile.minDownPayment,
+            detail: `${borrower.downPaymentPercent}% of ${profile.minDownPayment}% minimum`
+        });
+    }
+    if (profile.minCreditScore > 0) {
+        checks.push({
+            label: 'Credit score',
+            passed: borrower.creditScore >= profile.minCreditScore,
+            detail: `${borrower.creditScore} of ${profile.minCreditScore} minimum`
+        });
+    }
+    if (profile.reserveMonths > 0) {
+        checks.push({
+            label: 'Reserves',
+            passed: reserveMonths >= profile.reserveMonths,
+            detail: `${reserveMonths.toFixed(1)} of ${profile.reserveMonths} months of payments left after closing`
+        });
+    }
+    if (profile.residualIncome === 'required') {
+        // VA allows DTI above its limit when residual income beats the table by 20%
+        const residualTarget = dtiRatio > tier.total ? residualRequired * 1.2 : residualRequired;
+        checks.push({
+            label: 'Residual income',
+            passed: residual >= residualTarget,
+            detail: `${formatCurrency(residual)} of ${formatCurrency(residualTarget)} required` +
+                (residualTarget > residualRequired ? ' (120% because DTI is over the limit)' : '')
+        });
+        if (!checks[0].passed && residual >= residualTarget) {
+            checks[0].passed = true;
+            checks[0].detail += ' - allowed by residual income';
+        }
+    }
+
+    const failed = checks.filter(check => !check.passed);
+    const explanation = failed.length === 0
+        ? `Qualifies${factors.length > 0 ? ` with ${factors.join(', ')}` : ''}`
+        : `Does not qualify: ${failed.map(check => `${check.label.toLowerCase()} (${check.detail})`).join('; ')}`;
+
+    return {
+        label: profile.label,
+        qualified: failed.length === 0,
+        housingRatio: housingRatio,
+        dtiRatio: dtiRatio,
+        housingLimit: tier.housing,
+        dtiLimit: tier.total,
+        compensatingFactors: factors,
+        residualIncome: { amount: residual, required: residualRequired },
+        checks: checks,
+        explanation: explanation
+    };
+}
+
+/**
+ * Default price-based housing costs used by the affordability solver
+ * Annual property tax and homeowners insurance as a percentage of the purchase price
+ */
+const DEFAULT_AFFORDABILITY_COSTS = {
+    propertyTaxRate: 1.1,
+    insuranceRate: 0.4
+};
+
+/**
+ * Calculate the monthly housing payment for a purchase price
+ * Property tax, insurance and mortgage insurance scale with price; HOA is a fixed monthly amount
+ * @param {number} price - Purchase price
+ * @param {number} downPaymentPercent - Down payment percentage
+ * @param {number} rate - Interest rate
+ * @param {number} years - Loan term
+ * @param {Object} options - {propertyTaxRate, insuranceRate, hoa, program, creditScore, vaUsage}
+ * @returns {Object} Payment breakdown {loanAmount, principalAndInterest, propertyTax, insurance, pmi, hoa, total}
+ */
+function calculateHousingPaymentAtPrice(price, downPaymentPercent, rate, years, options = {}) {
+    const programCosts = calculateLoanProgramCosts(
+        options.program || 'conventional',
+        price * (1 - downPaymentPercent / 100),
+        price,
+        years,
+        { creditScore: options.creditScore, vaUsage: options.vaUsage }
+    );
+
+    const principalAndInterest = calculateMonthlyPayment(programCosts.loanAmount, rate, years);
+    const propertyTax = price * (options.propertyTaxRate ?? DEFAULT_AFFORDABILITY_COSTS.propertyTaxRate) / 100 / 12;
+    const insurance = price * (options.insuranceRate ?? DEFAULT_AFFORDABILITY_COSTS.insuranceRate) / 100 / 12;
+    const hoa = options.hoa || 0;
+
+    return {
+        loanAmount: programCosts.loanAmount,
+        principalAndInterest: principalAndInterest,
+        propertyTax: propertyTax,
+        insurance: insurance,
+        pmi: programCosts.monthlyPremium,
+        hoa: hoa,
+        total: principalAndInterest + propertyTax + insurance + programCosts.monthlyPremium + hoa
+    };
+}
+
+/**
+ * Find the highest price whose housing payment fits a monthly budget (bisection)
+ * The payment rises with price, so the search narrows to within a dollar
+ * @returns {number} Highest affordable price, or 0 if even fixed costs exceed the budget
+ */
+function findMaxPriceForPayment(maxPayment, downPaymentPercent, rate, years, options) {
+    const paymentAt = price => calculateHousingPaymentAtPrice(price, downPaymentPercent, rate, years, options).total;
+
+    if (!(maxPayment > 0) || paymentAt(0) > maxPayment) return 0;
+    if (maxPayment === Infinity) return Infinity;
+
+    // Grow the upper bound until it is out of reach, then bisect
+    let low = 0;
+    let high = 100000;
+    while (paymentAt(high) <= maxPayment && high < 1e10) {
+        low = high;
+        high *= 2;
+    }
+
+    while (high - low > 1) {
+        const mid = (low + high) / 2;
+        if (paymentAt(mid) <= maxPayment) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    return Math.floor(low);
+}
+
 /**
  * Calculate recommended home price based on income and affordability guidelines
+ * Solves for the largest price where both the front-end (housing) and back-end (total debt)
+ * ratios fit, with price-dependent property tax, insurance and mortgage insurance
  * @param {number} annualIncome - Annual gross income
  * @param {number} monthlyDebts - Monthly debt payments
  * @param {number} downPaymentPercent - Down payment percentage
  * @param {number} rate - Interest rate
  * @param {number} years - Loan term
- * @returns {number} Maximum recommended home price
+ * @param {Object} options - {propertyTaxRate, insuranceRate (annual % of price), hoa (monthly), program,
+ *     creditScore, vaUsage, housingLimit, dtiLimit (percentages; default to the program's limits)}
+ * @returns {Object} {maxPrice, loanAmount, payment, housingRatio, dtiRatio, housingLimit, dtiLimit,
+ *     maxPriceByFrontEnd, maxPriceByBackEnd, bindingConstraint: 'front-end'|'back-end'}
  */
-function calculateRecommendedPrice(annualIncome, monthlyDebts, downPaymentPercent, rate, years) {
+function calculateRecommendedPrice(annualIncome, monthlyDebts, downPaymentPercent, rate, years, options = {}) {
     const monthlyIncome = annualIncome / 12;
+    const programRules = LOAN_PROGRAMS[options.program] || LOAN_PROGRAMS.conventional;
+    const housingLimit = options.housingLimit !== undefined ? options.housingLimit : programRules.dtiLimits.housing;
+    const dtiLimit = options.dtiLimit !== undefined ? options.dtiLimit : programRules.dtiLimits.total;
 
-    // Use 28% rule for max monthly payment
-    const maxPayment = monthlyIncome * 0.28;
-
-    // Subtract estimated property tax and insurance (rough estimate: 1.5% of home value annually)
-    // This is iterative, so we'll use approximation
-    const estimatedPayment = maxPayment * 0.85; // Leaves room for tax/insurance
-
-    // Calculate max loan amount using PMT formula in reverse
-    const monthlyRate = rate / 100 / 12;
-    const numPayments = years * 12;
+    // Monthly housing budget under each ratio (no front-end limit for VA)
+    const maxHousingFrontEnd = housingLimit === null ? Infinity : monthlyIncome * housingLimit / 100;
+    const maxHousingBackEnd = monthlyIncome * dtiLimit / 100 - (monthlyDebts || 0);
 
-    let maxLoan;
-    if (monthlyRate === 0) {
-        maxLoan = estimatedPayment * numPayments;
-    } else {
-        maxLoan = estimatedPayment *
-            (Math.pow(1 + monthlyRate, numPayments) - 1) /
-            (monthlyRate * Math.pow(1 + monthlyRate, numPayments));
-    }
+    const maxPriceByFrontEnd = findMaxPriceForPayment(maxHousingFrontEnd, downPaymentPercent, rate, years, options);
+    const maxPriceByBackEnd = findMaxPriceForPayment(maxHousingBackEnd, downPaymentPercent, rate, years, options);
+    const maxPrice = Math.min(maxPriceByFrontEnd, maxPriceByBackEnd);
 
-    // Calculate max price based on down payment
-    const maxPrice = maxLoan / (1 - downPaymentPercent / 100);
+    const payment = calculateHousingPaymentAtPrice(maxPrice, downPaymentPercent, rate, years, options);
 
-    return maxPrice;
+    return {
+        maxPrice: maxPrice,
+        loanAmount: payment.loanAmount,
+        payment: payment,
+        housingRatio: monthlyIncome > 0 ? payment.total / monthlyIncome * 100 : 0,
+        dtiRatio: monthlyIncome > 0 ? (payment.total + (monthlyDebts || 0)) / monthlyIncome * 100 : 0,
+        housingLimit: housingLimit,
+        dtiLimit: dtiLimit,
+        maxPriceByFrontEnd: maxPriceByFrontEnd,
+        maxPriceByBackEnd: maxPriceByBackEnd,
+        bindingConstraint: maxPriceByBackEnd <= maxPriceByFrontEnd ? 'back-end' : 'front-end'
+    };
 }
 
 /**
@@ -396,3 +2294,17 @@ function formatCurrency(amount) {
 function formatPercent(decimal, decimals = 2) {
     return (decimal).toFixed(decimals) + '%';
 }
+
+/**
+ * Escape text for use in HTML markup (element content or quoted attribute values)
+ * @param {*} text - Text to escape; null and undefined become an empty string
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -6,6 +6,77 @@
 // Global chart instances storage
 const chartInstances = {};
 
+// Dollar display mode for projection charts (nominal or today's dollars)
+const chartDollarMode = {
+    realDollars: false,
+    inflationRate: 0
+};
+
+/**
+ * Set whether projection charts are labelled in today's dollars
+ */
+function setChartDollarMode(realDollars, inflationRate) {
+    chartDollarMode.realDollars = realDollars;
+    chartDollarMode.inflationRate = inflationRate;
+}
+
+/**
+ * Y-axis title naming the dollar basis of a projection chart
+ */
+function getDollarAxisTitle(text = 'Amount') {
+    return {
+        display: true,
+        text: chartDollarMode.realDollars
+            ? `${text} (today's dollars, ${chartDollarMode.inflationRate}% inflation)`
+            : `${text} (future dollars)`
+    };
+}
+
+/**
+ * Line datasets for a simulated P10 - P90 band with its median
+ * The P90 line fills down to the P10 line that follows it
+ * @param {string} label - Series name
+ * @param {Object} band - {p10, p50, p90} arrays by year
+ * @param {string} rgb - Series colour as 'r, g, b'
+ * @param {number} years - Years to show
+ * @returns {Array} Chart.js datasets
+ */
+function getPercentileBandDatasets(label, band, rgb, years) {
+    return [
+        {
+            label: `${label} - P90`,
+            data: band.p90.slice(0, years),
+            borderColor: `rgba(${rgb}, 0.3)`,
+            backgroundColor: `rgba(${rgb}, 0.12)`,
+            fill: '+1',
+            tension: 0.4,
+            borderWidth: 1,
+            pointRadius: 0
+        },
+        {
+            label: `${label} - P10`,
+            data: band.p10.slice(0, years),
+            borderColor: `rgba(${rgb}, 0.3)`,
+            backgroundColor: 'transparent',
+            fill: false,
+            tension: 0.4,
+            borderWidth: 1,
+            pointRadius: 0
+        },
+        {
+            label: `${label} - Median (P50)`,
+            data: band.p50.slice(0, years),
+            borderColor: `rgb(${rgb})`,
+            backgroundColor: 'transparent',
+            fill: false,
+            tension: 0.4,
+            borderWidth: 2,
+            borderDash: [2, 3],
+            pointRadius: 0
+        }
+    ];
+}
+
 /**
  * Default chart configuration options
  */
@@ -60,6 +131,13 @@ function renderPaymentBreakdown(paymentData) {
         chartInstances.paymentBreakdown.destroy();
     }
 
+    chartInstances.paymentBreakdown = new Chart(ctx, getPaymentBreakdownConfig(paymentData));
+}
+
+/**
+ * Chart.js configuration for renderPaymentBreakdown
+ */
+function getPaymentBreakdownConfig(paymentData) {
     const data = {
         labels: ['Principal & Interest', 'PMI', 'Property Tax', 'Insurance', 'HOA'],
         datasets: [{
@@ -82,7 +160,7 @@ function renderPaymentBreakdown(paymentData) {
         }]
     };
 
-    const config = {
+    return {
         type: 'doughnut',
         data: data,
         options: {
@@ -107,8 +185,6 @@ function renderPaymentBreakdown(paymentData) {
             }
         }
     };
-
-    chartInstances.paymentBreakdown = new Chart(ctx, config);
 }
 
 /**
@@ -123,6 +199,13 @@ function renderScenarioComparison(scenarios) {
         chartInstances.scenarioComparison.destroy();
     }
 
+    chartInstances.scenarioComparison = new Chart(ctx, getScenarioComparisonConfig(scenarios));
+}
+
+/**
+ * Chart.js configuration for renderScenarioComparison
+ */
+function getScenarioComparisonConfig(scenarios) {
     const labels = scenarios.map(s => s.name);
 
     const data = {
@@ -156,7 +239,7 @@ function renderScenarioComparison(scenarios) {
         ]
     };
 
-    const config = {
+    return {
         type: 'bar',
         data: data,
         options: {
@@ -180,8 +263,6 @@ function renderScenarioComparison(scenarios) {
             }
         }
     };
-
-    chartInstances.scenarioComparison = new Chart(ctx, config);
 }
 
 /**
@@ -196,6 +277,13 @@ function renderEquityChart(equityData) {
         chartInstances.equity.destroy();
     }
 
+    chartInstances.equity = new Chart(ctx, getEquityChartConfig(equityData));
+}
+
+/**
+ * Chart.js configuration for renderEquityChart
+ */
+function getEquityChartConfig(equityData) {
     const labels = equityData.map(d => `Year ${d.year}`);
 
     const data = {
@@ -225,11 +313,21 @@ function renderEquityChart(equityData) {
                 fill: true,
                 tension: 0.4,
                 borderWidth: 3
+            },
+            {
+                label: 'Net Proceeds if Sold',
+                data: equityData.map(d => d.netProceeds),
+                borderColor: '#f59e0b',
+                backgroundColor: 'transparent',
+                fill: false,
+                tension: 0.4,
+                borderWidth: 2,
+                borderDash: [5, 5]
             }
         ]
     };
 
-    const config = {
+    return {
         type: 'line',
         data: data,
         options: {
@@ -241,13 +339,32 @@ function renderEquityChart(equityData) {
                         callback: function(value) {
                             return formatCurrency(value);
                         }
+                    },
+                    title: getDollarAxisTitle()
+                }
+            },
+            plugins: {
+                ...defaultChartOptions.plugins,
+                tooltip: {
+                    ...defaultChartOptions.plugins.tooltip,
+                    callbacks: {
+                        ...defaultChartOptions.plugins.tooltip.callbacks,
+                        afterBody: function(context) {
+                            const yearData = equityData[context[0].dataIndex];
+                            const previousYear = equityData[context[0].dataIndex - 1];
+                            if (yearData.pmiPaid > 0) {
+                                return `PMI paid this year: ${formatCurrency(yearData.pmiPaid)}`;
+                            }
+                            if (previousYear && previousYear.pmiPaid > 0) {
+                                return 'PMI removed';
+                            }
+                            return '';
+                        }
                     }
                 }
             }
         }
     };
-
-    chartInstances.equity = new Chart(ctx, config);
 }
 
 /**
@@ -333,8 +450,9 @@ function renderInvestmentChart(comparisonData) {
 /**
  * Chart: Net Worth Growth (Stacked Area Chart)
  * Home equity + Investment portfolio with correct monthly contributions
+ * Optional simulated {p10, p50, p90} net worth band from a Monte Carlo run
  */
-function renderNetWorthChart(financialProjection, years) {
+function renderNetWorthChart(financialProjection, years, band = null) {
     const ctx = document.getElementById('networth-chart');
     if (!ctx) return;
 
@@ -342,6 +460,13 @@ function renderNetWorthChart(financialProjection, years) {
         chartInstances.netWorth.destroy();
     }
 
+    chartInstances.netWorth = new Chart(ctx, getNetWorthChartConfig(financialProjection, years, band));
+}
+
+/**
+ * Chart.js configuration for renderNetWorthChart
+ */
+function getNetWorthChartConfig(financialProjection, years, band = null) {
     const yearlyData = financialProjection.yearlyData;
     const labels = yearlyData.map(d => `Year ${d.year}`);
 
@@ -379,7 +504,11 @@ function renderNetWorthChart(financialProjection, years) {
         ]
     };
 
-    const config = {
+    if (band) {
+        data.datasets.push(...getPercentileBandDatasets('Simulated Net Worth', band, '139, 92, 246', yearlyData.length));
+    }
+
+    return {
         type: 'line',
         data: data,
         options: {
@@ -396,13 +525,12 @@ function renderNetWorthChart(financialProjection, years) {
                         callback: function(value) {
                             return formatCurrency(value);
                         }
-                    }
+                    },
+                    title: getDollarAxisTitle()
                 }
             }
         }
     };
-
-    chartInstances.netWorth = new Chart(ctx, config);
 }
 
 /**
@@ -425,7 +553,7 @@ function renderCashFlowChart(financialProjection, years) {
         datasets: [
             {
                 type: 'line',
-                label: 'Monthly Income',
+                label: 'Monthly Gross Income',
                 data: yearlyData.map(d => d.monthlyIncome),
                 borderColor: '#10b981',
                 backgroundColor: 'rgba(16, 185, 129, 0.1)',
@@ -434,6 +562,18 @@ function renderCashFlowChart(financialProjection, years) {
                 borderWidth: 3,
                 yAxisID: 'y'
             },
+            {
+                type: 'line',
+                label: 'Monthly Take-Home Pay',
+                data: yearlyData.map(d => d.monthlyTakeHome),
+                borderColor: '#059669',
+                backgroundColor: 'transparent',
+                fill: false,
+                tension: 0.4,
+                borderWidth: 2,
+                borderDash: [5, 5],
+                yAxisID: 'y'
+            },
             {
                 type: 'line',
                 label: 'Monthly Expenses',
@@ -474,10 +614,7 @@ function renderCashFlowChart(financialProjection, years) {
                             return formatCurrency(value);
                         }
                     },
-                    title: {
-                        display: true,
-                        text: 'Monthly Amount ($)'
-                    }
+                    title: getDollarAxisTitle('Monthly Amount')
                 }
             },
             plugins: {
@@ -506,8 +643,9 @@ function renderCashFlowChart(financialProjection, years) {
 /**
  * Chart 7: Comprehensive House Comparison (Multi-line Chart)
  * Compare total net worth between two scenarios over time
+ * Optional simulated {A, B} percentile bands from a Monte Carlo run
  */
-function renderComprehensiveComparisonChart(scenarioA, scenarioB, timeframe) {
+function renderComprehensiveComparisonChart(scenarioA, scenarioB, timeframe, bands = null) {
     const ctx = document.getElementById('house-comparison-chart');
     if (!ctx) return;
 
@@ -515,6 +653,13 @@ function renderComprehensiveComparisonChart(scenarioA, scenarioB, timeframe) {
         chartInstances.houseComparison.destroy();
     }
 
+    chartInstances.houseComparison = new Chart(ctx, getComprehensiveComparisonChartConfig(scenarioA, scenarioB, timeframe, bands));
+}
+
+/**
+ * Chart.js configuration for renderComprehensiveComparisonChart
+ */
+function getComprehensiveComparisonChartConfig(scenarioA, scenarioB, timeframe, bands = null) {
     const years = Math.min(timeframe, scenarioA.netWorthData.length, scenarioB.netWorthData.length);
     const labels = Array.from({length: years}, (_, i) => `Year ${i + 1}`);
 
@@ -579,12 +724,17 @@ function renderComprehensiveComparisonChart(scenarioA, scenarioB, timeframe) {
         }
     ];
 
+    if (bands) {
+        datasets.push(...getPercentileBandDatasets(`${scenarioA.scenario.name} - Simulated`, bands.A, '220, 38, 38', years));
+        datasets.push(...getPercentileBandDatasets(`${scenarioB.scenario.name} - Simulated`, bands.B, '5, 150, 105', years));
+    }
+
     const data = {
         labels: labels,
         datasets: datasets
     };
 
-    const config = {
+    return {
         type: 'line',
         data: data,
         options: {
@@ -600,7 +750,8 @@ function renderComprehensiveComparisonChart(scenarioA, scenarioB, timeframe) {
                         callback: function(value) {
                             return formatCurrency(value);
                         }
-                    }
+                    },
+                    title: getDollarAxisTitle()
                 }
             },
             plugins: {
@@ -611,8 +762,6 @@ function renderComprehensiveComparisonChart(scenarioA, scenarioB, timeframe) {
             }
         }
     };
-
-    chartInstances.houseComparison = new Chart(ctx, config);
 }
 
 /**
@@ -733,8 +882,9 @@ function renderHousePriceComparisonChart(comparisonData, timeframe) {
 /**
  * Chart: Buy vs Rent Comparison (Multi-line Chart)
  * Total net worth: buying this house vs. continuing to rent
+ * Optional simulated {buy, rent} percentile bands from a Monte Carlo run
  */
-function renderRentComparisonChart(comparison, years) {
+function renderRentComparisonChart(comparison, years, bands = null) {
     const ctx = document.getElementById('rent-comparison-chart');
     if (!ctx) return;
 
@@ -742,6 +892,13 @@ function renderRentComparisonChart(comparison, years) {
         chartInstances.rentComparison.destroy();
     }
 
+    chartInstances.rentComparison = new Chart(ctx, getRentComparisonChartConfig(comparison, years, bands));
+}
+
+/**
+ * Chart.js configuration for renderRentComparisonChart
+ */
+function getRentComparisonChartConfig(comparison, years, bands = null) {
     const buyData = comparison.buy;
     const rentData = comparison.rent;
     const labels = buyData.map(d => `Year ${d.year}`);
@@ -790,6 +947,11 @@ function renderRentComparisonChart(comparison, years) {
         ]
     };
 
+    if (bands) {
+        data.datasets.push(...getPercentileBandDatasets('Buy - Simulated', bands.buy, '16, 185, 129', buyData.length));
+        data.datasets.push(...getPercentileBandDatasets('Rent - Simulated', bands.rent, '59, 130, 246', rentData.length));
+    }
+
     // Find crossover point
     let crossoverYear = null;
     for (let i = 0; i < buyData.length; i++) {
@@ -827,7 +989,7 @@ function renderRentComparisonChart(comparison, years) {
         };
     }
 
-    const config = {
+    return {
         type: 'line',
         data: data,
         options: {
@@ -843,7 +1005,8 @@ function renderRentComparisonChart(comparison, years) {
                         callback: function(value) {
                             return formatCurrency(value);
                         }
-                    }
+                    },
+                    title: getDollarAxisTitle()
                 }
             },
             plugins: {
@@ -852,8 +1015,106 @@ function renderRentComparisonChart(comparison, years) {
             }
         }
     };
+}
+
+/**
+ * Chart: Sensitivity Tornado (Horizontal Bar Chart)
+ * Change in the result when each input moves down or up, largest swing on top
+ * @param {Array} rows - {label, low, high} changes from the base result, already sorted
+ * @param {string} metricLabel - Name of the measured result for the axis title
+ */
+function renderTornadoChart(rows, metricLabel) {
+    const ctx = document.getElementById('sensitivity-chart');
+    if (!ctx) return;
+
+    if (chartInstances.sensitivity) {
+        chartInstances.sensitivity.destroy();
+    }
+
+    const data = {
+        labels: rows.map(row => row.label),
+        datasets: [
+            {
+                label: 'Input Decreased',
+                data: rows.map(row => row.low),
+                backgroundColor: 'rgba(239, 68, 68, 0.7)',
+                borderColor: '#ef4444',
+                borderWidth: 1
+            },
+            {
+                label: 'Input Increased',
+                data: rows.map(row => row.high),
+                backgroundColor: 'rgba(16, 185, 129, 0.7)',
+                borderColor: '#10b981',
+                borderWidth: 1
+            }
+        ]
+    };
+
+    const config = {
+        type: 'bar',
+        data: data,
+        options: {
+            ...defaultChartOptions,
+            indexAxis: 'y',
+            scales: {
+                x: {
+                    ticks: {
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    },
+                    title: getDollarAxisTitle(metricLabel)
+                },
+                y: {
+                    // Overlay both bars on one row so each runs from zero to its own change
+                    stacked: true
+                }
+            },
+            plugins: {
+                ...defaultChartOptions.plugins,
+                tooltip: {
+                    ...defaultChartOptions.plugins.tooltip,
+                    callbacks: {
+                        label: function(context) {
+                            const value = context.parsed.x;
+                            return `${context.dataset.label}: ${value >= 0 ? '+' : ''}${formatCurrency(value)}`;
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    chartInstances.sensitivity = new Chart(ctx, config);
+}
+
+/**
+ * Draw a chart on a detached canvas and return it as a PNG data URL
+ * Printed reports use these static snapshots; charts on the page are left as they are
+ * @param {Object} config - Chart.js configuration from one of the get...Config functions
+ * @param {number} width - Image width in CSS pixels
+ * @param {number} height - Image height in CSS pixels
+ * @returns {string} PNG data URL
+ */
+function renderChartImage(config, width = 720, height = 360) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const chart = new Chart(canvas, {
+        ...config,
+        options: {
+            ...config.options,
+            responsive: false,
+            animation: false,
+            devicePixelRatio: 2
+        }
+    });
+    const image = chart.toBase64Image('image/png');
+    chart.destroy();
 
-    chartInstances.rentComparison = new Chart(ctx, config);
+    return image;
 }
 
 /**
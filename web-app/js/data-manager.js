@@ -14,6 +14,7 @@ const STORAGE_KEYS = {
 const createScenarioTemplate = () => ({
     id: generateUUID(),
     name: '',
+    notes: '',
     timestamp: new Date().toISOString(),
     propertyInfo: {
         purchasePrice: 0,
@@ -21,17 +22,52 @@ const createScenarioTemplate = () => ({
         downPaymentAmount: 0,
         interestRate: 0,
         loanTerm: 30,
+        loanProgram: 'conventional',
+        vaUsage: 'first',
+        loanType: 'fixed',
+        arm: null,
+        pricing: {
+            discountPoints: 0,
+            rateReductionPerPoint: 0.25,
+            lenderCreditPoints: 0,
+            rateIncreasePerCredit: 0.25,
+            buydown: 'none',
+            buydownPaidBy: 'buyer'
+        },
+        closingCosts: { ...DEFAULT_CLOSING_COSTS },
+        pmiOptions: {
+            creditScore: 740,
+            cancellation: 'automatic'
+        },
         propertyTax: 0,
         insurance: 0,
         hoa: 0,
         utilities: 0,
-        maintenance: 0
+        maintenance: 0,
+        insuranceRate: null,
+        maintenanceRate: null,
+        homeAge: null,
+        capexItems: DEFAULT_CAPEX_ITEMS.map(item => ({ ...item })),
+        rental: { ...DEFAULT_RENTAL },
+        prepayments: {
+            monthlyExtra: 0,
+            annualExtra: 0,
+            escalationRate: 0,
+            lumpSums: []
+        }
     },
     incomeInfo: {
         annualIncome: 0,
         monthlyDebts: 0,
         investmentReturn: 0,
-        currentPortfolio: 0
+        currentPortfolio: 0,
+        householdSize: 1,
+        region: 'south',
+        tax: {
+            ...DEFAULT_TAX_PROFILE,
+            state: { ...DEFAULT_TAX_PROFILE.state }
+        },
+        accounts: { ...DEFAULT_INVESTMENT_ACCOUNTS }
     },
     calculations: null
 });
@@ -147,13 +183,22 @@ function updateScenario(id, updates) {
  */
 function exportToJSON(scenarios = null) {
     const data = scenarios || loadScenarios();
-    const jsonString = JSON.stringify(data, null, 2);
-    const blob = new Blob([jsonString], { type: 'application/json' });
+    downloadFile(JSON.stringify(data, null, 2), `home-purchase-scenarios-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+}
+
+/**
+ * Download text or binary data as a file
+ * @param {string|Uint8Array} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type: type });
     const url = URL.createObjectURL(blob);
 
     const link = document.createElement('a');
     link.href = url;
-    link.download = `home-purchase-scenarios-${new Date().toISOString().split('T')[0]}.json`;
+    link.download = fileName;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -161,111 +206,535 @@ function exportToJSON(scenarios = null) {
 }
 
 /**
- * Import scenarios from JSON file
- * @param {string} jsonString - JSON string containing scenarios
- * @returns {Object} Result with success status and message
+ * Fields left out of import comparisons: timestamps change on every save and
+ * calculations are derived from the inputs
+ */
+const IMPORT_IGNORED_FIELDS = ['timestamp', 'calculations'];
+
+/**
+ * List the fields that differ between two scenarios
+ * Nested objects and arrays are compared leaf by leaf, e.g. "propertyInfo.prepayments.lumpSums.0.amount"
+ * @param {Object} mine - Saved scenario
+ * @param {Object} theirs - Imported scenario
+ * @returns {Array} Differences [{field, mine, theirs}] (undefined where a side lacks the field)
  */
-function importFromJSON(jsonString) {
+function diffScenarios(mine, theirs) {
+    const differences = [];
+
+    const compare = (a, b, path) => {
+        const isContainer = value => value !== null && typeof value === 'object';
+        if (isContainer(a) && isContainer(b) && Array.isArray(a) === Array.isArray(b)) {
+            const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+            keys.forEach(key => {
+                if (path === '' && IMPORT_IGNORED_FIELDS.includes(key)) return;
+                compare(a[key], b[key], path ? `${path}.${key}` : key);
+            });
+        } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+            differences.push({ field: path, mine: a, theirs: b });
+        }
+    };
+
+    compare(mine, theirs, '');
+    return differences;
+}
+
+/**
+ * Parse an import file and classify each scenario against the saved scenarios, without saving anything
+ * A scenario is new when no saved scenario has its id, identical when every compared field matches,
+ * and changed otherwise; scenarios failing validateScenario are reported as invalid
+ * @param {string} jsonString - JSON string containing an array of scenarios
+ * @returns {Object} {success, message, entries: [{index, scenario, status ('new', 'changed', 'identical'
+ *     or 'invalid'), existing, differences, errors}]}
+ */
+function previewImport(jsonString) {
+    let importedScenarios;
     try {
-        const importedScenarios = JSON.parse(jsonString);
+        importedScenarios = JSON.parse(jsonString);
+    } catch (error) {
+        return {
+            success: false,
+            message: `Error reading import file: ${error.message}`,
+            entries: []
+        };
+    }
+
+    if (!Array.isArray(importedScenarios)) {
+        return {
+            success: false,
+            message: 'Invalid JSON format: expected an array of scenarios',
+            entries: []
+        };
+    }
 
-        if (!Array.isArray(importedScenarios)) {
-            return {
-                success: false,
-                message: 'Invalid JSON format: expected an array of scenarios'
-            };
+    const existingScenarios = loadScenarios();
+    const entries = importedScenarios.map((scenario, index) => {
+        const validation = validateScenario(scenario);
+        if (!validation.valid) {
+            return { index, scenario, status: 'invalid', existing: null, differences: [], errors: validation.errors };
         }
 
-        // Validate each scenario
-        for (const scenario of importedScenarios) {
-            if (!validateScenario(scenario).valid) {
-                return {
-                    success: false,
-                    message: 'Invalid scenario data in import file'
-                };
-            }
+        const existing = scenario.id ? existingScenarios.find(s => s.id === scenario.id) || null : null;
+        if (!existing) {
+            return { index, scenario, status: 'new', existing: null, differences: [], errors: [] };
         }
 
-        // Load existing scenarios
-        const existingScenarios = loadScenarios();
+        const differences = diffScenarios(existing, scenario);
+        return {
+            index,
+            scenario,
+            status: differences.length > 0 ? 'changed' : 'identical',
+            existing,
+            differences,
+            errors: []
+        };
+    });
 
-        // Merge scenarios (avoid duplicates based on ID)
-        const mergedScenarios = [...existingScenarios];
-        let newCount = 0;
-        let updatedCount = 0;
+    const count = status => entries.filter(entry => entry.status === status).length;
+    return {
+        success: true,
+        message: `${count('new')} new, ${count('changed')} changed, ${count('identical')} identical, ${count('invalid')} invalid`,
+        entries
+    };
+}
 
-        for (const imported of importedScenarios) {
-            const existingIndex = mergedScenarios.findIndex(s => s.id === imported.id);
+/**
+ * Import scenarios from JSON file
+ * New scenarios are added and identical ones skipped. Each changed scenario is resolved by id:
+ * 'mine' keeps the saved version, 'theirs' replaces it, and 'both' adds the import as a copy
+ * with a new id. Changed scenarios without a resolution keep the saved version. Invalid
+ * scenarios are skipped and reported; the rest of the file still imports.
+ * @param {string} jsonString - JSON string containing scenarios
+ * @param {Object} resolutions - Conflict choice by scenario id ('mine', 'theirs' or 'both')
+ * @returns {Object} Result with success status, message, counts and invalid [{index, name, errors}]
+ */
+function importFromJSON(jsonString, resolutions = {}) {
+    const preview = previewImport(jsonString);
+    if (!preview.success) {
+        return {
+            success: false,
+            message: preview.message,
+            invalid: []
+        };
+    }
 
-            if (existingIndex >= 0) {
-                // Update existing
-                mergedScenarios[existingIndex] = imported;
-                updatedCount++;
-            } else {
-                // Add new
+    try {
+        const mergedScenarios = loadScenarios();
+        let newCount = 0;
+        let updatedCount = 0;
+        let copiedCount = 0;
+        let skippedCount = 0;
+        const invalid = [];
+
+        preview.entries.forEach(entry => {
+            const imported = entry.scenario;
+
+            if (entry.status === 'invalid') {
+                invalid.push({ index: entry.index, name: imported?.name || `Scenario ${entry.index + 1}`, errors: entry.errors });
+            } else if (entry.status === 'new') {
+                if (!imported.id || mergedScenarios.some(s => s.id === imported.id)) {
+                    imported.id = generateUUID();
+                }
                 mergedScenarios.push(imported);
                 newCount++;
+            } else if (entry.status === 'identical') {
+                skippedCount++;
+            } else {
+                const resolution = resolutions[imported.id] || 'mine';
+                if (resolution === 'theirs') {
+                    mergedScenarios[mergedScenarios.findIndex(s => s.id === imported.id)] = imported;
+                    updatedCount++;
+                } else if (resolution === 'both') {
+                    mergedScenarios.push({ ...imported, id: generateUUID(), name: `${imported.name} (imported)` });
+                    copiedCount++;
+                } else {
+                    skippedCount++;
+                }
             }
-        }
+        });
 
         localStorage.setItem(STORAGE_KEYS.SCENARIOS, JSON.stringify(mergedScenarios));
 
         return {
             success: true,
-            message: `Import successful: ${newCount} new scenarios added, ${updatedCount} updated`,
+            message: `Import successful: ${newCount} new scenarios added, ${updatedCount} updated, ` +
+                `${copiedCount} kept as copies, ${skippedCount} unchanged` +
+                (invalid.length > 0 ? `, ${invalid.length} invalid skipped` : ''),
             newCount,
-            updatedCount
+            updatedCount,
+            copiedCount,
+            skippedCount,
+            invalid
         };
     } catch (error) {
         return {
             success: false,
-            message: `Error importing scenarios: ${error.message}`
+            message: `Error importing scenarios: ${error.message}`,
+            invalid: []
         };
     }
 }
 
 /**
- * Export scenario to CSV format
- * @param {Object} scenario - Scenario to export
+ * Parse CSV text into rows of cells
+ * Handles quoted fields with embedded commas, line breaks and doubled quotes ("")
+ * @param {string} text - CSV text
+ * @returns {Array} Rows, each an array of cell strings
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Excel tracker columns (home-purchase-tracker-template.csv) and the keys they are read into
+ * Computed columns are not imported; they are checked against the app's own calculations
+ */
+const TRACKER_CSV_COLUMNS = {
+    'Property Name': 'name',
+    'Purchase Price': 'purchasePrice',
+    'Down Payment %': 'downPaymentPercent',
+    'Down Payment $': 'downPaymentAmount',
+    'Loan Amount': 'loanAmount',
+    'Interest Rate': 'interestRate',
+    'Loan Term (Years)': 'loanTerm',
+    'PMI %': 'pmiRate',
+    'Monthly PMI': 'pmi',
+    'Monthly P&I': 'principalAndInterest',
+    'Monthly Property Tax': 'propertyTax',
+    'Monthly Insurance': 'insurance',
+    'Monthly HOA/Condo': 'hoa',
+    'Estimated Utilities': 'utilities',
+    'Estimated Maintenance': 'maintenance',
+    'Total Monthly Payment': 'totalPayment',
+    'Total Monthly Cost': 'totalMonthlyCost',
+    'Annual Cost': 'annualCost',
+    'Notes': 'notes'
+};
+
+/**
+ * Read a tracker number, ignoring currency symbols and thousands separators
+ * @returns {number|null} Number, or null for a blank or unreadable cell
+ */
+function parseTrackerNumber(value) {
+    const cleaned = String(value ?? '').replace(/[$,\s%]/g, '');
+    if (cleaned === '') return null;
+    const number = parseFloat(cleaned);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Read a tracker percentage as a percentage (6.5 for 6.5%)
+ * The sheet stores percentages as fractions (0.065); values written with a % sign
+ * or above 1 are taken as percentages already
+ * @returns {number|null} Percentage, or null for a blank cell
+ */
+function parseTrackerPercent(value) {
+    const number = parseTrackerNumber(value);
+    if (number === null) return null;
+    // Rounded so 0.07 reads as 7 rather than 7.000000000000001
+    return String(value).includes('%') || number > 1 ? number : Math.round(number * 100 * 1e6) / 1e6;
+}
+
+/**
+ * Find the saved scenario a tracker row updates: the first not yet matched with the same
+ * property name (ignoring case and surrounding spaces)
+ * @param {string} name - Property Name from the row
+ * @param {Array} savedScenarios - Saved scenarios
+ * @param {Set} matchedIds - Ids already matched by earlier rows; the match is added
+ * @returns {Object|null} Saved scenario, or null when the row is a new property
+ */
+function findTrackerMatch(name, savedScenarios, matchedIds) {
+    const key = (name || '').trim().toLowerCase();
+    if (!key) return null;
+
+    const match = savedScenarios.find(scenario =>
+        !matchedIds.has(scenario.id) && (scenario.name || '').trim().toLowerCase() === key) || null;
+    if (match) {
+        matchedIds.add(match.id);
+    }
+    return match;
+}
+
+/**
+ * Convert Excel tracker CSV rows into scenarios
+ * Blank rows are skipped, as are rows with only a name (such as the template's instructions).
+ * A row whose Property Name matches a saved scenario updates that scenario (same id, so the import
+ * preview reports it as changed or identical), keeping the saved loan, income and other settings
+ * the tracker has no columns for. Other rows become new scenarios with incomeInfo, as the tracker
+ * has no income columns. The sheet's PMI % is not used because the app prices mortgage insurance
+ * itself. Computed columns (down payment $, loan amount, PMI, P&I, totals) that differ from the
+ * app's figures for the scenario's loan program by more than $1 are reported. Scenarios are not
+ * validated or saved; pass them to previewImport/importFromJSON.
+ * @param {string} csvText - Tracker CSV text
+ * @param {Object} incomeInfo - Income information applied to every new scenario
+ * @returns {Object} {success, message, scenarios, matched, skippedRows, discrepancies: [{row, name, column, sheet, app}]}
+ */
+function parseTrackerCSV(csvText, incomeInfo = null) {
+    const rows = parseCSV(csvText);
+    const headers = (rows[0] || []).map(header => header.trim());
+    const missing = ['Property Name', 'Purchase Price'].filter(header => !headers.includes(header));
+    if (missing.length > 0) {
+        return {
+            success: false,
+            message: `Not a tracker spreadsheet: missing ${missing.join(', ')} column${missing.length > 1 ? 's' : ''}`,
+            scenarios: [],
+            matched: 0,
+            skippedRows: 0,
+            discrepancies: []
+        };
+    }
+
+    const savedScenarios = loadScenarios();
+    const matchedIds = new Set();
+    const scenarios = [];
+    const discrepancies = [];
+    let skippedRows = 0;
+
+    rows.slice(1).forEach((cells, index) => {
+        const rowNumber = index + 2;
+        const values = {};
+        headers.forEach((header, column) => {
+            if (TRACKER_CSV_COLUMNS[header]) {
+                values[TRACKER_CSV_COLUMNS[header]] = (cells[column] || '').trim();
+            }
+        });
+
+        const filled = Object.keys(values).filter(key => values[key] !== '' && key !== 'name' && key !== 'notes');
+        if (filled.length === 0) {
+            skippedRows++;
+            return;
+        }
+
+        const saved = findTrackerMatch(unescapeCSVFormula(values.name || ''), savedScenarios, matchedIds);
+        const scenario = saved ? JSON.parse(JSON.stringify(saved)) : createScenarioTemplate();
+        const property = scenario.propertyInfo;
+        scenario.name = unescapeCSVFormula(values.name || '');
+        scenario.notes = unescapeCSVFormula(values.notes || '');
+        if (incomeInfo && !saved) {
+            scenario.incomeInfo = { ...scenario.incomeInfo, ...incomeInfo };
+        }
+
+        property.purchasePrice = parseTrackerNumber(values.purchasePrice) ?? 0;
+        const downPaymentPercent = parseTrackerPercent(values.downPaymentPercent);
+        const downPaymentAmount = parseTrackerNumber(values.downPaymentAmount);
+        if (downPaymentPercent !== null) {
+            property.downPaymentPercent = downPaymentPercent;
+        } else if (downPaymentAmount !== null && property.purchasePrice > 0) {
+            property.downPaymentPercent = downPaymentAmount / property.purchasePrice * 100;
+        }
+        property.downPaymentAmount = property.purchasePrice * property.downPaymentPercent / 100;
+        property.interestRate = parseTrackerPercent(values.interestRate) ?? 0;
+        property.loanTerm = parseTrackerNumber(values.loanTerm) ?? 30;
+        ['propertyTax', 'insurance', 'hoa', 'utilities', 'maintenance'].forEach(key => {
+            property[key] = parseTrackerNumber(values[key]) ?? 0;
+        });
+
+        // The app's own figures, as handleCalculate computes them for the loan program
+        // (conventional for new scenarios)
+        const loanProgram = property.loanProgram || 'conventional';
+        const programCosts = calculateLoanProgramCosts(
+            loanProgram,
+            property.purchasePrice - property.downPaymentAmount,
+            property.purchasePrice,
+            property.loanTerm,
+            { creditScore: (property.pmiOptions || {}).creditScore, vaUsage: property.vaUsage }
+        );
+        const breakdown = calculateTotalMonthlyPayment(
+            programCosts.loanAmount,
+            property.interestRate,
+            property.loanTerm,
+            property.propertyTax,
+            property.insurance,
+            property.hoa,
+            programCosts.monthlyPremium
+        );
+        const totalMonthlyCost = breakdown.totalPayment + property.utilities + property.maintenance;
+        const monthlyIncome = scenario.incomeInfo.annualIncome / 12;
+        scenario.calculations = {
+            ...scenario.calculations,
+            ...breakdown,
+            loanAmount: programCosts.loanAmount,
+            totalMonthlyCost: totalMonthlyCost,
+            affordability: calculateAffordabilityRatios(
+                breakdown.totalPayment,
+                monthlyIncome,
+                scenario.incomeInfo.monthlyDebts,
+                loanProgram,
+                property.downPaymentPercent
+            )
+        };
+
+        const appValues = {
+            downPaymentAmount: property.downPaymentAmount,
+            loanAmount: programCosts.loanAmount,
+            pmi: programCosts.monthlyPremium,
+            principalAndInterest: breakdown.principalAndInterest,
+            totalPayment: breakdown.totalPayment,
+            totalMonthlyCost: totalMonthlyCost,
+            annualCost: totalMonthlyCost * 12
+        };
+        Object.keys(appValues).forEach(key => {
+            const sheetValue = parseTrackerNumber(values[key]);
+            if (sheetValue !== null && Math.abs(sheetValue - appValues[key]) > 1) {
+                discrepancies.push({
+                    row: rowNumber,
+                    name: scenario.name,
+                    column: Object.keys(TRACKER_CSV_COLUMNS).find(header => TRACKER_CSV_COLUMNS[header] === key),
+                    sheet: sheetValue,
+                    app: appValues[key]
+                });
+            }
+        });
+
+        scenarios.push(scenario);
+    });
+
+    return {
+        success: true,
+        message: `${scenarios.length} propert${scenarios.length === 1 ? 'y' : 'ies'} read` +
+            (matchedIds.size > 0 ? ` (${matchedIds.size} matching saved scenario${matchedIds.size === 1 ? '' : 's'})` : '') +
+            `, ${skippedRows} blank or note rows skipped` +
+            (discrepancies.length > 0 ? `, ${discrepancies.length} computed value${discrepancies.length === 1 ? '' : 's'} differ from this app` : ''),
+        scenarios,
+        matched: matchedIds.size,
+        skippedRows,
+        discrepancies
+    };
+}
+
+/**
+ * Leading characters that make a spreadsheet read a text cell as a formula
+ */
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a value for a CSV cell (RFC 4180)
+ * Cells containing commas, quotes or line breaks are quoted, with quotes doubled. Text starting
+ * with =, +, -, @, tab or carriage return gets a leading ' so spreadsheets show it instead of
+ * running it as a formula; numbers are left alone.
+ * @param {*} value - Cell value (null and undefined are left blank)
+ * @returns {string} Escaped cell
+ */
+function escapeCSVValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' && CSV_FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Remove the leading ' that escapeCSVValue adds to formula-like text
+ */
+function unescapeCSVFormula(text) {
+    return text.startsWith("'") && CSV_FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Join rows of cells into CSV text with CRLF line endings (RFC 4180)
+ * @param {Array} rows - Rows, each an array of cell values
+ * @returns {string} CSV text
+ */
+function formatCSV(rows) {
+    return rows.map(row => row.map(escapeCSVValue).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Round a dollar amount to cents for export
+ */
+function roundToCents(amount) {
+    return typeof amount === 'number' && isFinite(amount) ? Math.round(amount * 100) / 100 : amount;
+}
+
+/**
+ * Scenario export columns in the Excel tracker's order (see TRACKER_CSV_COLUMNS)
+ * Percentages are written as fractions (0.065) like the tracker, so its formulas and
+ * formatting apply and the file imports back with parseTrackerCSV; dollar amounts are
+ * rounded to cents unless a column is marked exact
+ */
+const TRACKER_EXPORT_COLUMNS = [
+    { header: 'Property Name', value: s => s.name },
+    { header: 'Purchase Price', value: s => s.propertyInfo.purchasePrice },
+    { header: 'Down Payment %', value: s => s.propertyInfo.downPaymentPercent / 100, exact: true },
+    { header: 'Down Payment $', value: s => s.propertyInfo.downPaymentAmount },
+    { header: 'Loan Amount', value: s => s.calculations?.loanAmount },
+    { header: 'Interest Rate', value: s => s.propertyInfo.interestRate / 100, exact: true },
+    { header: 'Loan Term (Years)', value: s => s.propertyInfo.loanTerm },
+    { header: 'PMI %', value: s => s.calculations?.loanAmount > 0 ? Math.round(s.calculations.pmi * 12 / s.calculations.loanAmount * 1e6) / 1e6 : null, exact: true },
+    { header: 'Monthly PMI', value: s => s.calculations?.pmi },
+    { header: 'Monthly P&I', value: s => s.calculations?.principalAndInterest },
+    { header: 'Monthly Property Tax', value: s => s.propertyInfo.propertyTax },
+    { header: 'Monthly Insurance', value: s => s.propertyInfo.insurance },
+    { header: 'Monthly HOA/Condo', value: s => s.propertyInfo.hoa },
+    { header: 'Estimated Utilities', value: s => s.propertyInfo.utilities },
+    { header: 'Estimated Maintenance', value: s => s.propertyInfo.maintenance },
+    { header: 'Total Monthly Payment', value: s => s.calculations?.totalPayment },
+    { header: 'Total Monthly Cost', value: s => s.calculations?.totalMonthlyCost },
+    { header: 'Annual Cost', value: s => s.calculations ? s.calculations.totalMonthlyCost * 12 : null },
+    { header: 'Notes', value: s => s.notes || '' }
+];
+
+/**
+ * Additional scenario export columns: loan choices and income
+ */
+const DETAIL_EXPORT_COLUMNS = [
+    { header: 'Loan Program', value: s => s.propertyInfo.loanProgram || 'conventional' },
+    { header: 'Loan Type', value: s => s.propertyInfo.loanType || 'fixed' },
+    { header: 'Annual Income', value: s => s.incomeInfo.annualIncome },
+    { header: 'Monthly Debts', value: s => s.incomeInfo.monthlyDebts },
+    { header: 'Investment Return', value: s => s.incomeInfo.investmentReturn },
+    { header: 'Current Portfolio', value: s => s.incomeInfo.currentPortfolio },
+    { header: 'Timestamp', value: s => s.timestamp }
+];
+
+/**
+ * Export scenarios to CSV format, one row per scenario
+ * @param {Array|Object} scenarios - Scenarios to export (a single scenario is accepted)
+ * @param {Array} columns - Columns [{header, value(scenario), exact}] (defaults to the tracker columns)
  * @returns {string} CSV string
  */
-function exportToCSV(scenario) {
-    const headers = [
-        'Property Name',
-        'Purchase Price',
-        'Down Payment %',
-        'Interest Rate',
-        'Loan Term',
-        'Property Tax',
-        'Insurance',
-        'HOA',
-        'Utilities',
-        'Maintenance',
-        'Annual Income',
-        'Monthly Debts',
-        'Investment Return',
-        'Timestamp'
-    ];
-
-    const row = [
-        scenario.name,
-        scenario.propertyInfo.purchasePrice,
-        scenario.propertyInfo.downPaymentPercent,
-        scenario.propertyInfo.interestRate,
-        scenario.propertyInfo.loanTerm,
-        scenario.propertyInfo.propertyTax,
-        scenario.propertyInfo.insurance,
-        scenario.propertyInfo.hoa,
-        scenario.propertyInfo.utilities,
-        scenario.propertyInfo.maintenance,
-        scenario.incomeInfo.annualIncome,
-        scenario.incomeInfo.monthlyDebts,
-        scenario.incomeInfo.investmentReturn,
-        scenario.timestamp
-    ];
-
-    const csv = [headers.join(','), row.join(',')].join('\n');
-    return csv;
+function exportToCSV(scenarios, columns = TRACKER_EXPORT_COLUMNS) {
+    const list = Array.isArray(scenarios) ? scenarios : [scenarios];
+    return formatCSV([
+        columns.map(column => column.header),
+        ...list.map(scenario => columns.map(column => {
+            const value = column.value(scenario);
+            return column.exact ? value : roundToCents(value);
+        }))
+    ]);
 }
 
 /**
@@ -276,7 +745,14 @@ function exportToCSV(scenario) {
 function validateScenario(scenario) {
     const errors = [];
 
-    if (!scenario.name || scenario.name.trim() === '') {
+    if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+        return {
+            valid: false,
+            errors: ['Scenario is not an object']
+        };
+    }
+
+    if (typeof scenario.name !== 'string' || scenario.name.trim() === '') {
         errors.push('Scenario name is required');
     }
 
@@ -381,6 +857,51 @@ function loadSettings() {
     }
 }
 
+/**
+ * Load custom lender qualification profiles from settings
+ * @returns {Array} Custom profiles {id, label, housingLimit, dtiLimit, minDownPayment, minCreditScore, reserveMonths}
+ */
+function loadQualificationProfiles() {
+    return loadSettings().qualificationProfiles || [];
+}
+
+/**
+ * Save a custom lender qualification profile (adds, or updates by ID)
+ * @param {Object} profile - Custom profile
+ * @returns {boolean} Success status
+ */
+function saveQualificationProfile(profile) {
+    const profiles = loadQualificationProfiles();
+    if (!profile.id) {
+        profile.id = generateUUID();
+    }
+
+    const existingIndex = profiles.findIndex(p => p.id === profile.id);
+    if (existingIndex >= 0) {
+        profiles[existingIndex] = profile;
+    } else {
+        profiles.push(profile);
+    }
+
+    return saveSettings({ qualificationProfiles: profiles });
+}
+
+/**
+ * Delete a custom lender qualification profile by ID
+ * @param {string} id - Profile ID
+ * @returns {boolean} Success status
+ */
+function deleteQualificationProfile(id) {
+    const profiles = loadQualificationProfiles();
+    const filtered = profiles.filter(p => p.id !== id);
+
+    if (filtered.length === profiles.length) {
+        return false;
+    }
+
+    return saveSettings({ qualificationProfiles: filtered });
+}
+
 /**
  * Get default settings
  * @returns {Object} Default settings
@@ -391,6 +912,9 @@ function getDefaultSettings() {
         defaultAppreciation: 3.0,
         defaultLoanTerm: 30,
         defaultDownPayment: 20,
+        inflationRate: 2.5,
+        realDollars: false,
+        qualificationProfiles: [],
         theme: 'light'
     };
 }
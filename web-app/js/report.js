@@ -0,0 +1,486 @@
+/**
+ * Printable Decision Report
+ * Lays out a Calculator result, a saved scenario or a head-to-head comparison as one document
+ * (inputs, payments, affordability, amortization, buy vs rent and chart snapshots) for the
+ * browser's print dialog, which can also save it as a PDF
+ */
+
+// Years shown in the amortization and buy vs rent tables, along with the last year of the timeframe
+const REPORT_MILESTONE_YEARS = [1, 5, 10, 15, 20, 25, 30];
+
+/**
+ * Scenario inputs, one row each; rows whose value is null for every scenario are left out
+ */
+const REPORT_INPUT_ROWS = [
+    { label: 'Purchase price', value: s => formatCurrency(s.propertyInfo.purchasePrice) },
+    { label: 'Down payment', value: s => `${formatPercent(s.propertyInfo.downPaymentPercent, 1)} (${formatCurrency(s.propertyInfo.downPaymentAmount)})` },
+    { label: 'Loan', value: s => getLoanLabel(s.propertyInfo) },
+    { label: 'Loan amount', value: s => formatCurrency(s.calculations.loanAmount) },
+    { label: 'Interest rate', value: s => formatPercent(getNoteRate(s.propertyInfo), 3) },
+    { label: 'Credit score', value: s => s.propertyInfo.pmiOptions ? String(s.propertyInfo.pmiOptions.creditScore) : null },
+    { label: 'Property tax (monthly)', value: s => formatCurrency(s.propertyInfo.propertyTax) },
+    { label: 'Homeowners insurance (monthly)', value: s => formatCurrency(s.propertyInfo.insurance) },
+    { label: 'HOA (monthly)', value: s => formatCurrency(s.propertyInfo.hoa) },
+    { label: 'Utilities (monthly)', value: s => formatCurrency(s.propertyInfo.utilities) },
+    { label: 'Maintenance (monthly)', value: s => formatCurrency(s.propertyInfo.maintenance) },
+    {
+        label: 'Rent from other units or rooms',
+        value: s => s.propertyInfo.rental && s.propertyInfo.rental.propertyType !== 'single'
+            ? `${formatCurrency(s.propertyInfo.rental.monthlyRent)}/mo, ${formatPercent(s.propertyInfo.rental.vacancyRate, 0)} vacancy`
+            : null
+    },
+    { label: 'Annual gross income', value: s => formatCurrency(s.incomeInfo.annualIncome) },
+    { label: 'Other monthly debts', value: s => formatCurrency(s.incomeInfo.monthlyDebts) },
+    { label: 'Current portfolio', value: s => formatCurrency(s.incomeInfo.currentPortfolio) },
+    { label: 'Investment return', value: s => formatPercent(getAnnualizedRate(s.incomeInfo.investmentReturn), 1) }
+];
+
+/**
+ * Monthly payment breakdown rows, ending with cash to close
+ */
+const REPORT_PAYMENT_ROWS = [
+    { label: 'Principal & interest', value: s => formatCurrency(s.calculations.principalAndInterest) },
+    { label: 'Mortgage insurance', value: s => formatCurrency(s.calculations.pmi) },
+    { label: 'Property tax', value: s => formatCurrency(s.calculations.propertyTax) },
+    { label: 'Homeowners insurance', value: s => formatCurrency(s.calculations.insurance) },
+    { label: 'HOA', value: s => formatCurrency(s.calculations.hoa) },
+    { label: 'Monthly payment', value: s => formatCurrency(s.calculations.totalPayment), total: true },
+    { label: 'Utilities', value: s => formatCurrency(s.propertyInfo.utilities) },
+    { label: 'Maintenance', value: s => formatCurrency(s.propertyInfo.maintenance) },
+    { label: 'Total monthly cost', value: s => formatCurrency(s.calculations.totalMonthlyCost), total: true },
+    {
+        label: 'Net rental income',
+        value: s => s.calculations.rentalIncome && s.calculations.rentalIncome.grossRent > 0
+            ? formatCurrency(s.calculations.rentalIncome.netRentalIncome)
+            : null
+    },
+    {
+        label: 'Net monthly cost after rent',
+        value: s => s.calculations.rentalIncome && s.calculations.rentalIncome.grossRent > 0
+            ? formatCurrency(s.calculations.netMonthlyCost)
+            : null,
+        total: true
+    },
+    { label: 'Cash to close', value: s => s.calculations.cashToClose ? formatCurrency(s.calculations.cashToClose.cashToClose) : null },
+    { label: 'Total cash required (with reserves)', value: s => s.calculations.cashToClose ? formatCurrency(s.calculations.cashToClose.totalCashRequired) : null }
+];
+
+/**
+ * Build a report table with a label column and one value column per scenario
+ * Headings, labels and values are HTML; callers escape any user text in them
+ * @param {Array} headers - Column headings, starting with the label column's
+ * @param {Array} rows - [{label, values, total}]; total rows are emphasized
+ * @returns {string} HTML
+ */
+function buildReportTable(headers, rows) {
+    return `
+        <table class="report-table">
+            <thead>
+                <tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr${row.total ? ' class="report-total"' : ''}>
+                        <td>${row.label}</td>
+                        ${row.values.map(value => `<td>${value}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Apply row definitions ({label, value, total}) to scenarios, dropping rows with no values
+ */
+function getReportRows(definitions, scenarios) {
+    return definitions
+        .map(definition => ({
+            label: definition.label,
+            values: scenarios.map(scenario => definition.value(scenario)),
+            total: definition.total
+        }))
+        .filter(row => row.values.some(value => value !== null))
+        .map(row => ({ ...row, values: row.values.map(value => value ?? '-') }));
+}
+
+/**
+ * Build a titled report section
+ * @param {string} title - Plain text
+ * @param {string} content - HTML
+ */
+function buildReportSection(title, content) {
+    return `
+        <section class="report-section">
+            <h2>${escapeHTML(title)}</h2>
+            ${content}
+        </section>
+    `;
+}
+
+/**
+ * Build a static chart snapshot with its caption
+ * @param {string} title - Caption
+ * @param {Object} config - Chart.js configuration (see renderChartImage)
+ */
+function buildReportChart(title, config) {
+    return `
+        <figure class="report-chart">
+            <img src="${renderChartImage(config)}" alt="${escapeHTML(title)}">
+            <figcaption>${escapeHTML(title)}</figcaption>
+        </figure>
+    `;
+}
+
+/**
+ * Years to show in milestone tables: REPORT_MILESTONE_YEARS within the timeframe, plus its last year
+ */
+function getReportMilestoneYears(years) {
+    const milestones = REPORT_MILESTONE_YEARS.filter(year => year < years);
+    return years > 0 ? [...milestones, years] : milestones;
+}
+
+/**
+ * Summarize an amortization schedule for a report
+ * @param {Array} schedule - From generateAmortizationSchedule
+ * @returns {Object} Payoff month, totals and {year, balance, principalPaid, interestPaid} at each year end
+ */
+function summarizeAmortization(schedule) {
+    let principalPaid = 0;
+    let interestPaid = 0;
+    const yearEnds = [];
+
+    schedule.forEach(month => {
+        principalPaid += month.principal + month.extraPrincipal;
+        interestPaid += month.interest;
+        if (month.month % 12 === 0 || month === schedule[schedule.length - 1]) {
+            yearEnds.push({
+                year: Math.ceil(month.month / 12),
+                balance: month.balance,
+                principalPaid: principalPaid,
+                interestPaid: interestPaid
+            });
+        }
+    });
+
+    return {
+        payoffMonth: schedule.length,
+        totalInterest: interestPaid,
+        totalMortgageInsurance: schedule.reduce((sum, month) => sum + month.pmi, 0),
+        totalExtraPrincipal: schedule.reduce((sum, month) => sum + month.extraPrincipal, 0),
+        mortgageInsuranceEnds: getPMIDropOffMonth(schedule),
+        yearEnds: yearEnds
+    };
+}
+
+/**
+ * Find the first year buying and renting net worth cross, as the Buy vs Rent chart marks it
+ * @returns {number|null} Year number, or null if one stays ahead throughout
+ */
+function findBuyVsRentBreakEven(buy, rent) {
+    for (let i = 1; i < buy.length; i++) {
+        const wasBehind = buy[i - 1].netWorth < rent[i - 1].netWorth;
+        const isBehind = buy[i].netWorth < rent[i].netWorth;
+        if (wasBehind !== isBehind) {
+            return buy[i].year;
+        }
+    }
+    return null;
+}
+
+/**
+ * Report header: title, subject and date (plain text)
+ */
+function buildReportHeader(title, subtitle) {
+    return `
+        <header class="report-header">
+            <h1>${escapeHTML(title)}</h1>
+            <p>${escapeHTML(subtitle)}</p>
+            <p class="report-date">Prepared ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })} with the Home Purchase Analyzer</p>
+        </header>
+    `;
+}
+
+/**
+ * Assumptions behind the projections (Analysis tab settings)
+ * @param {Object} settings - From getAnalysisSettingsFromForm
+ * @param {number} inflationRate - Display inflation rate (0 for future dollars)
+ * @param {Array} extraRows - Additional [label, value] pairs
+ */
+function buildReportAssumptions(settings, inflationRate, extraRows = []) {
+    const rows = [
+        ['Timeframe', `${settings.timeframe} years`],
+        ['Home appreciation', `${formatPercent(getAnnualizedRate(settings.appreciationRate), 1)} per year`],
+        ['Annual raise', `${formatPercent(settings.annualRaise, 1)} per year`],
+        ['Non-housing expenses', `${formatCurrency(settings.otherExpenses)}/mo`],
+        ['Savings rate', `${formatPercent(settings.savingsRate, 0)} of what is left over`],
+        ['Rent if not buying', `${formatCurrency(settings.monthlyRent)}/mo, rising ${formatPercent(settings.rentIncrease, 1)} per year`],
+        ['Life events', settings.lifeEvents.length > 0 ? settings.lifeEvents.map(event => `Year ${event.year}: ${escapeHTML(event.description)}`).join('; ') : 'None'],
+        ['Refinance', settings.refinance
+            ? `Year ${Math.ceil(settings.refinance.month / 12)} to ${formatPercent(settings.refinance.rate, 3)} for ${settings.refinance.termYears} years`
+            : 'None'],
+        ['Dollars', inflationRate > 0 ? `Today's dollars (${formatPercent(inflationRate, 1)} inflation)` : 'Future dollars'],
+        ...extraRows
+    ];
+
+    return buildReportSection('Assumptions', buildReportTable(
+        ['Setting', 'Value'],
+        rows.map(([label, value]) => ({ label, values: [value] }))
+    ));
+}
+
+/**
+ * Affordability verdict, ratios and lender qualification for each scenario
+ */
+function buildReportAffordability(reports) {
+    const scenarios = reports.map(report => report.scenario);
+    const headers = ['', ...scenarios.map(scenario => escapeHTML(scenario.name))];
+
+    const rows = getReportRows([
+        { label: 'Verdict', value: s => getAffordabilityStatusText(s.calculations.affordability), total: true },
+        {
+            label: 'Housing ratio (front-end)',
+            value: s => formatPercent(s.calculations.affordability.housingRatio, 1) +
+                (s.calculations.affordability.housingLimit !== null ? ` (limit ${s.calculations.affordability.housingLimit}%)` : '')
+        },
+        {
+            label: 'Debt-to-income (back-end)',
+            value: s => `${formatPercent(s.calculations.affordability.dtiRatio, 1)} (limit ${s.calculations.affordability.dtiLimit}%)`
+        },
+        {
+            label: 'Maximum affordable price',
+            value: s => s.calculations.recommendedPrice ? formatCurrency(s.calculations.recommendedPrice.maxPrice) : null
+        }
+    ], scenarios);
+
+    // One row per lender profile, in the order the first scenario was evaluated
+    const profiles = scenarios.find(scenario => scenario.calculations.qualification)?.calculations.qualification || [];
+    profiles.forEach(profile => {
+        rows.push({
+            label: escapeHTML(profile.label),
+            values: scenarios.map(scenario => {
+                const result = (scenario.calculations.qualification || []).find(r => r.key === profile.key);
+                return result
+                    ? `<strong>${result.qualified ? 'Pass' : 'Fail'}</strong><br><small>${escapeHTML(result.explanation)}</small>`
+                    : '-';
+            })
+        });
+    });
+
+    return buildReportSection('Affordability', buildReportTable(headers, rows));
+}
+
+/**
+ * Amortization summary and year-end balances for each scenario's loan
+ */
+function buildReportAmortization(reports, years) {
+    const summaries = reports.map(report => summarizeAmortization(report.schedule));
+    const headers = ['', ...reports.map(report => escapeHTML(report.scenario.name))];
+
+    const rows = [
+        { label: 'Paid off in', values: summaries.map(summary => formatLoanDuration(summary.payoffMonth)) },
+        { label: 'Total interest', values: summaries.map(summary => formatCurrency(summary.totalInterest)) },
+        { label: 'Total mortgage insurance', values: summaries.map(summary => formatCurrency(summary.totalMortgageInsurance)) },
+        {
+            label: 'Mortgage insurance ends',
+            values: summaries.map(summary => summary.mortgageInsuranceEnds
+                ? `Month ${summary.mortgageInsuranceEnds} (year ${Math.ceil(summary.mortgageInsuranceEnds / 12)})`
+                : '-')
+        },
+        { label: 'Extra principal paid', values: summaries.map(summary => formatCurrency(summary.totalExtraPrincipal)) }
+    ];
+
+    getReportMilestoneYears(years).forEach(year => {
+        rows.push({
+            label: `Year ${year}: balance / interest paid`,
+            values: summaries.map(summary => {
+                const yearEnd = summary.yearEnds.find(y => y.year === year);
+                return yearEnd
+                    ? `${formatCurrency(yearEnd.balance)} / ${formatCurrency(yearEnd.interestPaid)}`
+                    : `Paid off / ${formatCurrency(summary.totalInterest)}`;
+            })
+        });
+    });
+
+    return buildReportSection('Amortization Summary',
+        buildReportTable(headers, rows) +
+        '<p class="report-note">Loan as entered (extra principal, ARM resets, buydowns and mortgage insurance drop-off), in future dollars.</p>'
+    );
+}
+
+/**
+ * Buy vs rent results for each scenario at the end of the timeframe and at milestone years
+ */
+function buildReportBuyVsRent(reports, years) {
+    const headers = ['', ...reports.map(report => escapeHTML(report.scenario.name))];
+    const final = reports.map(report => ({
+        buy: report.rentComparison.buy[report.rentComparison.buy.length - 1],
+        rent: report.rentComparison.rent[report.rentComparison.rent.length - 1]
+    }));
+
+    const rows = [
+        { label: `Net worth buying (year ${years})`, values: final.map(f => formatCurrency(f.buy.netWorth)) },
+        { label: `Net worth renting (year ${years})`, values: final.map(f => formatCurrency(f.rent.netWorth)) },
+        {
+            label: 'Result',
+            values: final.map(f => f.buy.netWorth >= f.rent.netWorth
+                ? `Buying ahead by ${formatCurrency(f.buy.netWorth - f.rent.netWorth)}`
+                : `Renting ahead by ${formatCurrency(f.rent.netWorth - f.buy.netWorth)}`),
+            total: true
+        },
+        {
+            label: 'Break-even year',
+            values: reports.map(report => {
+                const year = findBuyVsRentBreakEven(report.rentComparison.buy, report.rentComparison.rent);
+                return year ? `Year ${year}` : 'No crossover';
+            })
+        }
+    ];
+
+    getReportMilestoneYears(years).forEach(year => {
+        rows.push({
+            label: `Year ${year}: buy / rent net worth`,
+            values: reports.map(report => {
+                const buy = report.rentComparison.buy[year - 1];
+                const rent = report.rentComparison.rent[year - 1];
+                return buy && rent ? `${formatCurrency(buy.netWorth)} / ${formatCurrency(rent.netWorth)}` : '-';
+            })
+        });
+    });
+
+    return buildReportSection('Buy vs Rent', buildReportTable(headers, rows));
+}
+
+/**
+ * Build the report for a single scenario
+ * @param {Object} report - {scenario, schedule, projection, rentComparison} from getScenarioReportData
+ * @param {Object} settings - Analysis settings (see getAnalysisSettingsFromForm)
+ * @param {number} inflationRate - Display inflation rate
+ * @returns {string} HTML
+ */
+function buildScenarioReport(report, settings, inflationRate) {
+    const { scenario } = report;
+    const reports = [report];
+    const headers = ['', escapeHTML(scenario.name)];
+
+    return buildReportHeader('Home Purchase Decision Report', scenario.name + (scenario.notes ? ` - ${scenario.notes}` : '')) +
+        buildReportSection('Inputs', buildReportTable(headers, getReportRows(REPORT_INPUT_ROWS, [scenario]))) +
+        buildReportSection('Monthly Payment',
+            buildReportTable(headers, getReportRows(REPORT_PAYMENT_ROWS, [scenario])) +
+            '<div class="report-charts">' +
+            buildReportChart('Monthly Payment Breakdown', getPaymentBreakdownConfig(scenario.calculations)) +
+            '</div>'
+        ) +
+        buildReportAffordability(reports) +
+        buildReportAmortization(reports, settings.timeframe) +
+        buildReportBuyVsRent(reports, settings.timeframe) +
+        '<section class="report-section report-charts">' +
+        buildReportChart('Buy vs Rent: Total Net Worth', getRentComparisonChartConfig(report.rentComparison, settings.timeframe)) +
+        buildReportChart('Net Worth Growth', getNetWorthChartConfig(report.projection, settings.timeframe)) +
+        buildReportChart('Home Equity Buildup', getEquityChartConfig(report.projection.equityData)) +
+        '</section>' +
+        buildReportAssumptions(settings, inflationRate) +
+        buildReportDisclaimer();
+}
+
+/**
+ * Build the head-to-head report for two saved scenarios
+ * @param {Array} reports - Both scenarios' getScenarioReportData results
+ * @param {Object} comparison - From runComprehensiveComparison
+ * @param {Object} settings - Analysis settings (see getAnalysisSettingsFromForm)
+ * @param {Object} comparisonSettings - From getHouseComparisonSettingsFromForm
+ * @returns {string} HTML
+ */
+function buildComparisonReport(reports, comparison, settings, comparisonSettings) {
+    const scenarios = reports.map(report => report.scenario);
+    const headers = ['', ...scenarios.map(scenario => escapeHTML(scenario.name))];
+    const { scenarioA, scenarioB, winner } = comparison;
+    const timeframe = comparisonSettings.timeframe;
+    const formatYears = years => isFinite(years) ? `${years.toFixed(1)} years` : 'Not reached';
+
+    const headToHead = [
+        { label: 'Annual housing cost', values: [formatCurrency(scenarioA.annualHousingCost), formatCurrency(scenarioB.annualHousingCost)] },
+        { label: 'Monthly discretionary income', values: [formatCurrency(scenarioA.monthlyDiscretionary), formatCurrency(scenarioB.monthlyDiscretionary)] },
+        { label: 'Monthly investment contributions', values: [formatCurrency(scenarioA.monthlyToInvestments), formatCurrency(scenarioB.monthlyToInvestments)] },
+        { label: `Homeowner tax savings (${timeframe} years)`, values: [formatCurrency(scenarioA.totalTaxSavings), formatCurrency(scenarioB.totalTaxSavings)] },
+        { label: `Net worth after ${timeframe} years`, values: [formatCurrency(scenarioA.finalNetWorth), formatCurrency(scenarioB.finalNetWorth)], total: true },
+        { label: `Portfolio at retirement (age ${comparisonSettings.retirementAge})`, values: [formatCurrency(scenarioA.retirementPortfolio), formatCurrency(scenarioB.retirementPortfolio)] },
+        { label: 'Years to financial independence', values: [formatYears(scenarioA.yearsToFI), formatYears(scenarioB.yearsToFI)] },
+        { label: `Years to ${formatCurrency(comparisonSettings.savingsMilestone)}`, values: [formatYears(scenarioA.yearsToMilestone), formatYears(scenarioB.yearsToMilestone)] }
+    ];
+    if (comparison.simulation) {
+        const probabilityAWins = comparison.simulation.probabilityAWins * 100;
+        headToHead.push({
+            label: `Chance of ending ahead (${comparison.simulation.paths.toLocaleString()} simulated paths)`,
+            values: [formatPercent(probabilityAWins, 0), formatPercent(100 - probabilityAWins, 0)]
+        });
+    }
+
+    const winnerName = winner.winner === 'A' ? scenarioA.scenario.name : scenarioB.scenario.name;
+    const verdict = `<p class="report-verdict">${escapeHTML(winnerName)} ends ${formatCurrency(winner.difference)} ahead after ${timeframe} years` +
+        `${winner.liquidated ? ' after selling' : ''}${winner.realTerms ? " in today's dollars" : ''}` +
+        `${winner.breakEvenYear ? `, crossing over in year ${winner.breakEvenYear}` : ''}.</p>`;
+
+    return buildReportHeader('Home Purchase Comparison Report', scenarios.map(scenario => scenario.name).join(' vs ')) +
+        buildReportSection('Head-to-Head',
+            verdict +
+            buildReportTable(headers, headToHead) +
+            '<div class="report-charts">' +
+            buildReportChart('Total Wealth Comparison', getComprehensiveComparisonChartConfig(scenarioA, scenarioB, timeframe, comparison.simulation ? comparison.simulation.bands : null)) +
+            buildReportChart('Monthly Cost Comparison', getScenarioComparisonConfig(scenarios)) +
+            '</div>'
+        ) +
+        buildReportSection('Inputs', buildReportTable(headers, getReportRows(REPORT_INPUT_ROWS, scenarios))) +
+        buildReportSection('Monthly Payment', buildReportTable(headers, getReportRows(REPORT_PAYMENT_ROWS, scenarios))) +
+        buildReportAffordability(reports) +
+        buildReportAmortization(reports, settings.timeframe) +
+        buildReportBuyVsRent(reports, settings.timeframe) +
+        '<section class="report-section report-charts">' +
+        reports.map(report =>
+            buildReportChart(`Buy vs Rent: ${report.scenario.name}`, getRentComparisonChartConfig(report.rentComparison, settings.timeframe))
+        ).join('') +
+        '</section>' +
+        buildReportAssumptions(settings, comparison.inflationRate, [
+            ['Age now / at retirement', `${comparisonSettings.currentAge} / ${comparisonSettings.retirementAge}`],
+            ['Non-housing expenses (head-to-head)', `${formatCurrency(comparisonSettings.otherExpenses)}/mo`],
+            ['Savings rate (head-to-head)', formatPercent(comparisonSettings.savingsRate, 0)]
+        ]) +
+        buildReportDisclaimer();
+}
+
+/**
+ * Closing disclaimer, as in the page footer
+ */
+function buildReportDisclaimer() {
+    return `
+        <p class="report-disclaimer">
+            Estimates for educational purposes only. Actual costs, rates, and returns may vary.
+            Confirm lending terms with your lender and investment decisions with your financial advisor.
+        </p>
+    `;
+}
+
+/**
+ * Show a report in place of the page and open the print dialog
+ * The document title becomes the report title, so "Save as PDF" suggests it as the file name
+ * @param {string} title - Document title while printing
+ * @param {string} html - Report from buildScenarioReport or buildComparisonReport
+ */
+function printReport(title, html) {
+    const container = document.getElementById('print-report');
+    const pageTitle = document.title;
+
+    container.innerHTML = html;
+    document.title = title;
+    document.body.classList.add('printing-report');
+
+    window.addEventListener('afterprint', function() {
+        document.body.classList.remove('printing-report');
+        document.title = pageTitle;
+        container.innerHTML = '';
+    }, { once: true });
+
+    // Wait for the chart snapshots to decode so they make it onto the page
+    const images = Array.from(container.querySelectorAll('img'));
+    Promise.all(images.map(image => image.decode().catch(() => null))).then(() => window.print());
+}
@@ -0,0 +1,567 @@
+/**
+ * Excel Workbook Export
+ * Builds the Excel tracker described in Excel_Tracker_Instructions.md (Property Comparison,
+ * Affordability Guidelines and Amortization sheets) as an .xlsx file in the browser
+ */
+
+// CRC-32 lookup table for ZIP entries
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Calculate the CRC-32 checksum of bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+function calculateCRC32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Package files into an uncompressed (stored) ZIP archive, the container format of .xlsx files
+ * @param {Array} files - Files [{name, content}] with string content (written as UTF-8)
+ * @returns {Uint8Array} ZIP archive
+ */
+function createZipArchive(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const entries = files.map(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        return { name, data, crc: calculateCRC32(data) };
+    });
+
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const archive = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(archive.buffer);
+
+    // Local file headers and data
+    let offset = 0;
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034B50, true);
+        view.setUint16(offset + 4, 20, true);            // Version needed
+        view.setUint16(offset + 6, 0x0800, true);        // UTF-8 names
+        view.setUint16(offset + 8, 0, true);             // Stored
+        view.setUint16(offset + 10, dosTime, true);
+        view.setUint16(offset + 12, dosDate, true);
+        view.setUint32(offset + 14, entry.crc, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint32(offset + 22, entry.data.length, true);
+        view.setUint16(offset + 26, entry.name.length, true);
+        view.setUint16(offset + 28, 0, true);
+        archive.set(entry.name, offset + 30);
+        archive.set(entry.data, offset + 30 + entry.name.length);
+        offset += 30 + entry.name.length + entry.data.length;
+    });
+
+    // Central directory
+    const centralOffset = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset + 4, 20, true);            // Version made by
+        view.setUint16(offset + 6, 20, true);            // Version needed
+        view.setUint16(offset + 8, 0x0800, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, dosTime, true);
+        view.setUint16(offset + 14, dosDate, true);
+        view.setUint32(offset + 16, entry.crc, true);
+        view.setUint32(offset + 20, entry.data.length, true);
+        view.setUint32(offset + 24, entry.data.length, true);
+        view.setUint16(offset + 28, entry.name.length, true);
+        view.setUint32(offset + 42, entry.offset, true);
+        archive.set(entry.name, offset + 46);
+        offset += 46 + entry.name.length;
+    });
+
+    // End of central directory
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralOffset, true);
+
+    return archive;
+}
+
+/**
+ * Escape text for XML, dropping control characters XML cannot hold
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letter for a zero-based column index (0 = A, 26 = AA)
+ */
+function getColumnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+    }
+    return letter;
+}
+
+/**
+ * Convert a date to an Excel serial date number (days since 1899-12-30)
+ */
+function toExcelDate(date) {
+    return Math.round((Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - Date.UTC(1899, 11, 30)) / 86400000);
+}
+
+/**
+ * Cell style indexes into the workbook's cellXfs (see buildWorkbookStylesXML)
+ */
+const WORKBOOK_STYLES = {
+    default: 0,
+    header: 1,
+    currency: 2,
+    percent: 3,
+    integer: 4,
+    date: 5,
+    label: 6,
+    tableCurrency: 7,
+    tableText: 8,
+    tableHeader: 9
+};
+
+/**
+ * Conditional formatting fills (dxf indexes): light green, light yellow, light red
+ */
+const WORKBOOK_HIGHLIGHTS = {
+    best: 0,
+    caution: 1,
+    warning: 2
+};
+
+/**
+ * Build the styles part: currency, percentage, number and date formats, a bold shaded
+ * header, table borders and the conditional formatting fills
+ */
+function buildWorkbookStylesXML() {
+    const xf = (numFmtId, fontId, fillId, borderId) =>
+        `<xf numFmtId="${numFmtId}" fontId="${fontId}" fillId="${fillId}" borderId="${borderId}" xfId="0"` +
+        `${numFmtId ? ' applyNumberFormat="1"' : ''}${fontId ? ' applyFont="1"' : ''}` +
+        `${fillId ? ' applyFill="1"' : ''}${borderId ? ' applyBorder="1"' : ''}/>`;
+    const thin = side => `<${side} style="thin"><color auto="1"/></${side}>`;
+    const highlight = (fill, font) => `<dxf><font><color rgb="${font}"/></font><fill><patternFill><bgColor rgb="${fill}"/></patternFill></fill></dxf>`;
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<numFmts count="1"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00"/></numFmts>' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+        '<fill><patternFill patternType="solid"><fgColor rgb="FFDDEBF7"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+        '<borders count="2"><border><left/><right/><top/><bottom/><diagonal/></border>' +
+        `<border>${thin('left')}${thin('right')}${thin('top')}${thin('bottom')}<diagonal/></border></borders>` +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="10">' +
+        xf(0, 0, 0, 0) +        // default
+        xf(0, 1, 2, 0) +        // header
+        xf(164, 0, 0, 0) +      // currency
+        xf(10, 0, 0, 0) +       // percent (0.00%)
+        xf(1, 0, 0, 0) +        // integer
+        xf(14, 0, 0, 0) +       // date
+        xf(0, 1, 0, 0) +        // label
+        xf(164, 0, 0, 1) +      // table currency
+        xf(0, 0, 0, 1) +        // table text
+        xf(0, 1, 2, 1) +        // table header
+        '</cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '<dxfs count="3">' +
+        highlight('FFC6EFCE', 'FF006100') +
+        highlight('FFFFEB9C', 'FF9C5700') +
+        highlight('FFFFC7CE', 'FF9C0006') +
+        '</dxfs>' +
+        '</styleSheet>';
+}
+
+/**
+ * Build one cell's XML
+ * @param {string} ref - Cell reference (e.g. "B2")
+ * @param {Object} cell - {value, formula (without "="), style}; a formula's value is its cached result
+ * @returns {string} Cell XML, or '' for an empty unstyled cell
+ */
+function buildCellXML(ref, cell) {
+    if (!cell) return '';
+    const style = cell.style ? ` s="${cell.style}"` : '';
+    const value = cell.value;
+    const hasValue = value !== null && value !== undefined && value !== '' && !(typeof value === 'number' && !isFinite(value));
+
+    if (cell.formula) {
+        const cached = hasValue ? `<v>${escapeXML(value)}</v>` : '';
+        const type = typeof value === 'string' ? ' t="str"' : '';
+        return `<c r="${ref}"${style}${type}><f>${escapeXML(cell.formula)}</f>${cached}</c>`;
+    }
+    if (!hasValue) {
+        return style ? `<c r="${ref}"${style}/>` : '';
+    }
+    if (typeof value === 'number') {
+        return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+}
+
+/**
+ * Build a worksheet part
+ * @param {Array} rows - Rows of cells (see buildCellXML); null entries are blank
+ * @param {Object} options - {columnWidths, frozenRows, selected, conditionalFormatting (XML), dataValidations (XML)}
+ * @returns {string} Worksheet XML
+ */
+function buildWorksheetXML(rows, options = {}) {
+    const { columnWidths = [], frozenRows = 0, selected = false, conditionalFormatting = '', dataValidations = '' } = options;
+
+    const pane = frozenRows > 0
+        ? `<pane ySplit="${frozenRows}" topLeftCell="A${frozenRows + 1}" activePane="bottomLeft" state="frozen"/>`
+        : '';
+    const cols = columnWidths.length > 0
+        ? `<cols>${columnWidths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+        : '';
+    const sheetData = rows.map((row, rowIndex) => {
+        const cells = (row || []).map((cell, columnIndex) => buildCellXML(`${getColumnLetter(columnIndex)}${rowIndex + 1}`, cell)).join('');
+        return cells ? `<row r="${rowIndex + 1}">${cells}</row>` : '';
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheetViews><sheetView${selected ? ' tabSelected="1"' : ''} workbookViewId="0">${pane}</sheetView></sheetViews>` +
+        '<sheetFormatPr defaultRowHeight="15"/>' +
+        cols +
+        `<sheetData>${sheetData}</sheetData>` +
+        conditionalFormatting +
+        dataValidations +
+        '</worksheet>';
+}
+
+/**
+ * Quote a sheet name for use in a reference ('Property Comparison'!$B$2)
+ */
+function quoteSheetName(name) {
+    return `'${name.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Make a valid, unique sheet name: at most 31 characters, none of : \ / ? * [ ] and no
+ * apostrophe at either end
+ */
+function makeSheetName(name, usedNames) {
+    const base = name.replace(/[:\\/?*[\]]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 31).replace(/^'+|'+$/g, '').trim() || 'Sheet';
+    let candidate = base;
+    for (let n = 2; usedNames.includes(candidate.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        candidate = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    usedNames.push(candidate.toLowerCase());
+    return candidate;
+}
+
+/**
+ * Property Comparison sheet: one row per scenario in the tracker's columns, with the tracker's
+ * formulas for down payment, loan amount, mortgage insurance, PMT, totals and annual cost
+ * Loan Program and Upfront Fee % follow Notes so the tracker's columns keep their letters. The loan
+ * amount includes the financed FHA/VA/USDA upfront fee, and PMI % holds the app's mortgage insurance
+ * as an annual rate of that amount; it applies under 20% down on conventional loans and at any down
+ * payment otherwise (VA loans have none), as in the app
+ */
+function buildPropertyComparisonSheet(scenarios) {
+    const S = WORKBOOK_STYLES;
+    const headers = [
+        'Property Name', 'Purchase Price', 'Down Payment %', 'Down Payment $', 'Loan Amount', 'Interest Rate',
+        'Loan Term (Years)', 'PMI %', 'Monthly PMI', 'Monthly P&I', 'Monthly Property Tax', 'Monthly Insurance',
+        'Monthly HOA/Condo', 'Estimated Utilities', 'Estimated Maintenance', 'Total Monthly Payment',
+        'Total Monthly Cost', 'Annual Cost', 'Notes', 'Loan Program', 'Upfront Fee %'
+    ];
+
+    const rows = [headers.map(header => ({ value: header, style: S.header }))];
+    scenarios.forEach((scenario, index) => {
+        const r = index + 2;
+        const property = scenario.propertyInfo;
+        const calculations = scenario.calculations || {};
+
+        const price = property.purchasePrice;
+        const downPercent = property.downPaymentPercent / 100;
+        const downPayment = price * downPercent;
+        const baseLoan = price - downPayment;
+        const program = LOAN_PROGRAMS[property.loanProgram] ? property.loanProgram : 'conventional';
+        const upfrontFeeRate = baseLoan > 0 && calculations.loanAmount > baseLoan
+            ? Math.round((calculations.loanAmount / baseLoan - 1) * 1e6) / 1e6
+            : 0;
+        const loan = baseLoan * (1 + upfrontFeeRate);
+        const rate = (calculations.noteRate ?? property.interestRate) / 100;
+        const pmiRate = loan > 0 && calculations.pmi ? calculations.pmi * 12 / loan : 0;
+        const pmi = program !== 'conventional' || downPercent < 0.2 ? loan * pmiRate / 12 : 0;
+        const principalAndInterest = calculateMonthlyPayment(loan, rate * 100, property.loanTerm);
+        const totalPayment = principalAndInterest + pmi + property.propertyTax + property.insurance + property.hoa;
+        const totalCost = totalPayment + property.utilities + property.maintenance;
+
+        rows.push([
+            { value: scenario.name },
+            { value: price, style: S.currency },
+            { value: downPercent, style: S.percent },
+            { formula: `B${r}*C${r}`, value: downPayment, style: S.currency },
+            { formula: `(B${r}-D${r})*(1+U${r})`, value: loan, style: S.currency },
+            { value: rate, style: S.percent },
+            { value: property.loanTerm, style: S.integer },
+            { value: pmiRate, style: S.percent },
+            { formula: `IF(OR(T${r}<>"Conventional",C${r}<0.2),(E${r}*H${r})/12,0)`, value: pmi, style: S.currency },
+            { formula: `PMT(F${r}/12,G${r}*12,-E${r})`, value: principalAndInterest, style: S.currency },
+            { value: property.propertyTax, style: S.currency },
+            { value: property.insurance, style: S.currency },
+            { value: property.hoa, style: S.currency },
+            { value: property.utilities, style: S.currency },
+            { value: property.maintenance, style: S.currency },
+            { formula: `J${r}+I${r}+K${r}+L${r}+M${r}`, value: totalPayment, style: S.currency },
+            { formula: `P${r}+N${r}+O${r}`, value: totalCost, style: S.currency },
+            { formula: `Q${r}*12`, value: totalCost * 12, style: S.currency },
+            { value: scenario.notes || '' },
+            { value: LOAN_PROGRAMS[program].label },
+            { value: upfrontFeeRate, style: S.percent }
+        ]);
+    });
+
+    // Highlight the lowest monthly cost, down payments under 20% and housing over 28% of income
+    const lastRow = scenarios.length + 1;
+    const validationRows = Math.max(100, lastRow);
+    const H = WORKBOOK_HIGHLIGHTS;
+    const conditionalFormatting =
+        `<conditionalFormatting sqref="Q2:Q${lastRow}"><cfRule type="expression" dxfId="${H.best}" priority="1">` +
+        `<formula>Q2=MIN(TotalMonthlyCosts)</formula></cfRule></conditionalFormatting>` +
+        `<conditionalFormatting sqref="C2:C${lastRow}"><cfRule type="cellIs" dxfId="${H.caution}" priority="2" operator="lessThan">` +
+        '<formula>0.2</formula></cfRule></conditionalFormatting>' +
+        `<conditionalFormatting sqref="P2:P${lastRow}"><cfRule type="expression" dxfId="${H.warning}" priority="3">` +
+        `<formula>${escapeXML('AND(MonthlyGrossIncome>0,P2/MonthlyGrossIncome>0.28)')}</formula></cfRule></conditionalFormatting>`;
+    const dataValidations =
+        '<dataValidations count="4">' +
+        `<dataValidation type="decimal" allowBlank="1" showErrorMessage="1" sqref="C2:C${validationRows}"><formula1>0</formula1><formula2>1</formula2></dataValidation>` +
+        `<dataValidation type="decimal" allowBlank="1" showErrorMessage="1" sqref="F2:F${validationRows}"><formula1>0</formula1><formula2>0.2</formula2></dataValidation>` +
+        `<dataValidation type="list" allowBlank="1" showErrorMessage="1" sqref="G2:G${validationRows}"><formula1>"10,15,20,25,30"</formula1></dataValidation>` +
+        `<dataValidation type="list" allowBlank="1" showErrorMessage="1" sqref="T2:T${validationRows}"><formula1>"${Object.values(LOAN_PROGRAMS).map(p => p.label).join(',')}"</formula1></dataValidation>` +
+        '</dataValidations>';
+
+    return buildWorksheetXML(rows, {
+        columnWidths: [28, 15, 15, 15, 15, 13, 17, 10, 14, 14, 20, 18, 19, 18, 21, 21, 18, 15, 40, 15, 15],
+        frozenRows: 1,
+        selected: true,
+        conditionalFormatting,
+        dataValidations
+    });
+}
+
+/**
+ * Affordability Guidelines sheet: the 28% / 36% rules and emergency fund from monthly gross income
+ */
+function buildAffordabilitySheet(monthlyIncome) {
+    const S = WORKBOOK_STYLES;
+    const rows = [
+        [
+            { value: 'Metric', style: S.tableHeader },
+            { value: 'Formula/Value', style: S.tableHeader },
+            { value: 'Guideline', style: S.tableHeader }
+        ],
+        [
+            { value: 'Monthly Gross Income', style: S.tableText },
+            { value: monthlyIncome, style: S.tableCurrency },
+            { value: '-', style: S.tableText }
+        ],
+        [
+            { value: 'Max Housing (28% Rule)', style: S.tableText },
+            { formula: 'MonthlyGrossIncome*0.28', value: monthlyIncome * 0.28, style: S.tableCurrency },
+            { value: 'Payment ≤ 28% of income', style: S.tableText }
+        ],
+        [
+            { value: 'Max Debt (36% Rule)', style: S.tableText },
+            { formula: 'MonthlyGrossIncome*0.36', value: monthlyIncome * 0.36, style: S.tableCurrency },
+            { value: 'All debt ≤ 36% of income', style: S.tableText }
+        ],
+        [
+            { value: 'Recommended Emergency Fund', style: S.tableText },
+            { formula: 'MonthlyGrossIncome*6', value: monthlyIncome * 6, style: S.tableCurrency },
+            { value: '6 months of expenses', style: S.tableText }
+        ],
+        [
+            { value: 'Instructions: Enter your monthly gross income in cell B2. ' +
+                'The maximum housing payment and debt ratios will calculate automatically.' }
+        ]
+    ];
+
+    return buildWorksheetXML(rows, { columnWidths: [30, 18, 28] });
+}
+
+/**
+ * Amortization sheet for one scenario's loan: the tracker's setup area (named LoanAmount,
+ * AnnualRate, MonthlyRate, NumberOfPayments and MonthlyPayment on this sheet) and a
+ * fixed-rate schedule with PMT, interest, principal and balance formulas
+ */
+function buildAmortizationSheet(scenario, startDate) {
+    const S = WORKBOOK_STYLES;
+    const calculations = scenario.calculations || {};
+    const loanAmount = calculations.loanAmount ?? scenario.propertyInfo.purchasePrice - scenario.propertyInfo.downPaymentAmount;
+    const annualRate = (calculations.noteRate ?? scenario.propertyInfo.interestRate) / 100;
+    const payments = scenario.propertyInfo.loanTerm * 12;
+    const monthlyRate = annualRate / 12;
+    const monthlyPayment = calculateMonthlyPayment(loanAmount, annualRate * 100, scenario.propertyInfo.loanTerm);
+
+    const rows = [
+        [{ value: 'Loan Amount:', style: S.label }, { value: loanAmount, style: S.currency }],
+        [{ value: 'Annual Rate:', style: S.label }, { value: annualRate, style: S.percent }],
+        [{ value: 'Monthly Rate:', style: S.label }, { formula: 'AnnualRate/12', value: monthlyRate, style: S.percent }],
+        [{ value: 'Number of Payments:', style: S.label }, { value: payments, style: S.integer }],
+        [{ value: 'Monthly Payment:', style: S.label }, { formula: 'PMT(MonthlyRate,NumberOfPayments,-LoanAmount)', value: monthlyPayment, style: S.currency }],
+        ['Payment #', 'Payment Date', 'Beginning Balance', 'Payment', 'Principal', 'Interest', 'Ending Balance']
+            .map(header => ({ value: header, style: S.header }))
+    ];
+
+    let balance = loanAmount;
+    for (let payment = 1; payment <= payments; payment++) {
+        const r = payment + 6;
+        const date = new Date(startDate.getFullYear(), startDate.getMonth() + payment - 1, 1);
+        const interest = balance * monthlyRate;
+        const principal = monthlyPayment - interest;
+        const endingBalance = balance - principal;
+
+        rows.push([
+            payment === 1 ? { formula: '1', value: 1, style: S.integer } : { formula: `A${r - 1}+1`, value: payment, style: S.integer },
+            payment === 1
+                ? { formula: `DATE(${date.getFullYear()},${date.getMonth() + 1},1)`, value: toExcelDate(date), style: S.date }
+                : { formula: `EDATE(B${r - 1},1)`, value: toExcelDate(date), style: S.date },
+            payment === 1 ? { formula: 'LoanAmount', value: balance, style: S.currency } : { formula: `G${r - 1}`, value: balance, style: S.currency },
+            { formula: 'MonthlyPayment', value: monthlyPayment, style: S.currency },
+            { formula: `D${r}-F${r}`, value: principal, style: S.currency },
+            { formula: `C${r}*MonthlyRate`, value: interest, style: S.currency },
+            { formula: `C${r}-E${r}`, value: endingBalance, style: S.currency }
+        ]);
+        balance = endingBalance;
+    }
+
+    return buildWorksheetXML(rows, { columnWidths: [20, 14, 18, 14, 14, 14, 18], frozenRows: 6 });
+}
+
+/**
+ * Build the Excel tracker workbook from saved scenarios
+ * Cells hold live formulas with cached results, and Excel recalculates on open. Named ranges:
+ * PropertyNames, PurchasePrices, TotalMonthlyPayments, TotalMonthlyCosts and AnnualCosts on the
+ * comparison sheet, MonthlyGrossIncome on the guidelines sheet, and the loan setup cells on each
+ * amortization sheet (scoped to that sheet).
+ * @param {Array} scenarios - Scenarios with calculations
+ * @param {Object} options - {monthlyIncome (for the guidelines sheet), startDate (first payment month)}
+ * @returns {Uint8Array} .xlsx file contents
+ */
+function buildTrackerWorkbook(scenarios, options = {}) {
+    const monthlyIncome = options.monthlyIncome ?? (scenarios[0] ? scenarios[0].incomeInfo.annualIncome / 12 : 0);
+    const today = new Date();
+    const startDate = options.startDate || new Date(today.getFullYear(), today.getMonth() + 1, 1);
+
+    const usedNames = ['property comparison', 'affordability guidelines'];
+    const sheets = [
+        { name: 'Property Comparison', xml: buildPropertyComparisonSheet(scenarios) },
+        { name: 'Affordability Guidelines', xml: buildAffordabilitySheet(monthlyIncome) },
+        ...scenarios.map(scenario => ({
+            name: makeSheetName(scenarios.length === 1 ? 'Amortization' : `Amortization - ${scenario.name}`, usedNames),
+            xml: buildAmortizationSheet(scenario, startDate)
+        }))
+    ];
+
+    // Named ranges, workbook-wide and per amortization sheet
+    const lastRow = Math.max(2, scenarios.length + 1);
+    const comparison = quoteSheetName('Property Comparison');
+    const definedName = (name, ref, sheetIndex = null) =>
+        `<definedName name="${name}"${sheetIndex === null ? '' : ` localSheetId="${sheetIndex}"`}>${escapeXML(ref)}</definedName>`;
+    const definedNames = [
+        definedName('AnnualCosts', `${comparison}!$R$2:$R$${lastRow}`),
+        ...sheets.slice(2).flatMap((sheet, index) => {
+            const ref = quoteSheetName(sheet.name);
+            return [
+                definedName('AnnualRate', `${ref}!$B$2`, index + 2),
+                definedName('LoanAmount', `${ref}!$B$1`, index + 2),
+                definedName('MonthlyPayment', `${ref}!$B$5`, index + 2),
+                definedName('MonthlyRate', `${ref}!$B$3`, index + 2),
+                definedName('NumberOfPayments', `${ref}!$B$4`, index + 2)
+            ];
+        }),
+        definedName('MonthlyGrossIncome', `${quoteSheetName('Affordability Guidelines')}!$B$2`),
+        definedName('PropertyNames', `${comparison}!$A$2:$A$${lastRow}`),
+        definedName('PurchasePrices', `${comparison}!$B$2:$B$${lastRow}`),
+        definedName('TotalMonthlyCosts', `${comparison}!$Q$2:$Q$${lastRow}`),
+        definedName('TotalMonthlyPayments', `${comparison}!$P$2:$P$${lastRow}`)
+    ];
+
+    const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    const workbookXML = header +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<bookViews><workbookView/></bookViews>' +
+        `<sheets>${sheets.map((sheet, index) => `<sheet name="${escapeXML(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets>` +
+        `<definedNames>${definedNames.join('')}</definedNames>` +
+        '<calcPr calcId="191029" fullCalcOnLoad="1"/>' +
+        '</workbook>';
+
+    const relationshipType = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const workbookRels = header +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map((sheet, index) =>
+            `<Relationship Id="rId${index + 1}" Type="${relationshipType}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+        ).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="${relationshipType}/styles" Target="styles.xml"/>` +
+        '</Relationships>';
+
+    const contentTypes = header +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        sheets.map((sheet, index) =>
+            `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('') +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>';
+
+    const rootRels = header +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${relationshipType}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>';
+
+    return createZipArchive([
+        { name: '[Content_Types].xml', content: contentTypes },
+        { name: '_rels/.rels', content: rootRels },
+        { name: 'xl/workbook.xml', content: workbookXML },
+        { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+        { name: 'xl/styles.xml', content: buildWorkbookStylesXML() },
+        ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: sheet.xml }))
+    ]);
+}
+
+/**
+ * Download scenarios as the Excel tracker workbook
+ * @param {Array} scenarios - Scenarios with calculations
+ * @param {Object} options - See buildTrackerWorkbook
+ */
+function exportToXLSX(scenarios, options = {}) {
+    downloadFile(
+        buildTrackerWorkbook(scenarios, options),
+        `home-purchase-tracker-${new Date().toISOString().split('T')[0]}.xlsx`,
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+}